@@ -11,6 +11,150 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// Активности хранятся в помесячных секциях user_activities_YYYY_MM (границы по UTC).
+// Строки вне созданных секций попадают в секцию по умолчанию и переносятся при создании секции
+const USER_ACTIVITIES_DDL = `
+  CREATE TABLE IF NOT EXISTS user_activities (
+    id SERIAL,
+    user_id VARCHAR(255) NOT NULL,
+    product_id VARCHAR(255),
+    activity_type VARCHAR(50) NOT NULL,
+    activity_data JSONB,
+    session_id VARCHAR(255),
+    timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id, timestamp),
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (product_id) REFERENCES products(id)
+  ) PARTITION BY RANGE (timestamp)
+`;
+
+const ACTIVITY_DEFAULT_PARTITION = 'user_activities_default';
+const ACTIVITY_PARTITIONS_AHEAD = parseInt(process.env.ACTIVITY_PARTITIONS_AHEAD) || 3;
+
+function monthStart(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function addMonths(date, months) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+}
+
+function activityPartitionName(month) {
+  return `user_activities_${month.getUTCFullYear()}_${String(month.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+// Создание секции месяца внутри транзакции вызывающего кода; false - секция уже существует
+async function createActivityPartition(client, month) {
+  const name = activityPartitionName(month);
+  const exists = await client.query('SELECT to_regclass($1) AS partition', [name]);
+  if (exists.rows[0].partition) {
+    return false;
+  }
+
+  const from = month.toISOString().slice(0, 10);
+  const to = addMonths(month, 1).toISOString().slice(0, 10);
+
+  // Секция создается отдельно и подключается после переноса строк месяца из секции по умолчанию
+  await client.query(`CREATE TABLE ${name} (LIKE user_activities INCLUDING DEFAULTS)`);
+  await client.query(`
+    WITH moved AS (
+      DELETE FROM ${ACTIVITY_DEFAULT_PARTITION}
+      WHERE timestamp >= '${from}' AND timestamp < '${to}'
+      RETURNING *
+    )
+    INSERT INTO ${name} SELECT * FROM moved
+  `);
+  await client.query(`ALTER TABLE user_activities ATTACH PARTITION ${name} FOR VALUES FROM ('${from}') TO ('${to}')`);
+
+  console.log(`Activity partition created: ${name}`);
+  return true;
+}
+
+// Создает недостающие секции для всех месяцев диапазона [from, to]; возвращает имена созданных
+async function ensureActivityPartitions(from, to, db = pool) {
+  const client = await db.connect();
+  const created = [];
+
+  try {
+    await client.query('BEGIN');
+    // Сервисы могут создавать секции одновременно при старте
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('user_activities_partitions'))");
+
+    for (let month = monthStart(from); month <= to; month = addMonths(month, 1)) {
+      if (await createActivityPartition(client, month)) {
+        created.push(activityPartitionName(month));
+      }
+    }
+
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const USER_ACTIVITIES_RELKIND_SQL = "SELECT relkind FROM pg_class WHERE oid = to_regclass('user_activities')";
+
+// Перенос непартиционированной таблицы user_activities из ранних версий схемы
+async function migrateUserActivitiesToPartitions() {
+  const table = await pool.query(USER_ACTIVITIES_RELKIND_SQL);
+  if (table.rows.length === 0 || table.rows[0].relkind !== 'r') {
+    return;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('user_activities_partitions'))");
+
+    // Сервис, одновременно стартовавший с этим, мог уже выполнить перенос
+    const locked = await client.query(USER_ACTIVITIES_RELKIND_SQL);
+    if (locked.rows.length === 0 || locked.rows[0].relkind !== 'r') {
+      await client.query('COMMIT');
+      return;
+    }
+
+    console.log('Migrating user_activities to monthly partitions...');
+    await client.query('ALTER TABLE user_activities RENAME TO user_activities_legacy');
+    // Имя индекса первичного ключа должно освободиться для новой таблицы
+    await client.query('ALTER TABLE user_activities_legacy DROP CONSTRAINT IF EXISTS user_activities_pkey');
+    await client.query('ALTER TABLE user_activities_legacy ADD COLUMN IF NOT EXISTS session_id VARCHAR(255)');
+    await client.query(USER_ACTIVITIES_DDL);
+    await client.query(`CREATE TABLE ${ACTIVITY_DEFAULT_PARTITION} PARTITION OF user_activities DEFAULT`);
+
+    const range = await client.query('SELECT MIN(timestamp) AS min, MAX(timestamp) AS max FROM user_activities_legacy');
+    const { min, max } = range.rows[0];
+    if (min) {
+      for (let month = monthStart(min); month <= max; month = addMonths(month, 1)) {
+        await createActivityPartition(client, month);
+      }
+    }
+
+    const copied = await client.query(`
+      INSERT INTO user_activities (id, user_id, product_id, activity_type, activity_data, session_id, timestamp)
+      SELECT id, user_id, product_id, activity_type, activity_data, session_id, COALESCE(timestamp, CURRENT_TIMESTAMP)
+      FROM user_activities_legacy
+    `);
+    await client.query(`
+      SELECT setval(pg_get_serial_sequence('user_activities', 'id'), COALESCE(MAX(id), 0) + 1, false)
+      FROM user_activities
+    `);
+    await client.query('DROP TABLE user_activities_legacy');
+
+    await client.query('COMMIT');
+    console.log(`user_activities migrated to partitions (${copied.rowCount} rows)`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Инициализация таблиц
 async function initializeDatabase() {
   try {
@@ -33,19 +177,17 @@ async function initializeDatabase() {
       )
     `);
 
+    await pool.query(USER_ACTIVITIES_DDL);
+    await migrateUserActivitiesToPartitions();
+
     await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_activities (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) NOT NULL,
-        product_id VARCHAR(255),
-        activity_type VARCHAR(50) NOT NULL,
-        activity_data JSONB,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id),
-        FOREIGN KEY (product_id) REFERENCES products(id)
-      )
+      CREATE TABLE IF NOT EXISTS ${ACTIVITY_DEFAULT_PARTITION} PARTITION OF user_activities DEFAULT
     `);
 
+    // Секции текущего месяца и ACTIVITY_PARTITIONS_AHEAD следующих
+    const now = new Date();
+    await ensureActivityPartitions(now, addMonths(now, ACTIVITY_PARTITIONS_AHEAD));
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS recommendations (
         id SERIAL PRIMARY KEY,
@@ -72,6 +214,190 @@ async function initializeDatabase() {
       )
     `);
 
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS dead_letter_events (
+        id SERIAL PRIMARY KEY,
+        service_name VARCHAR(100) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(100) NOT NULL,
+        payload JSONB NOT NULL,
+        error_message TEXT,
+        error_stack TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        status VARCHAR(20) DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS event_outbox (
+        id BIGSERIAL PRIMARY KEY,
+        event_id VARCHAR(255) NOT NULL UNIQUE,
+        event_type VARCHAR(100) NOT NULL,
+        aggregate_id VARCHAR(255),
+        payload JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        last_attempt_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS events (
+        position BIGSERIAL UNIQUE,
+        id VARCHAR(255) PRIMARY KEY,
+        type VARCHAR(100) NOT NULL,
+        aggregate_id VARCHAR(255),
+        data JSONB NOT NULL,
+        timestamp TIMESTAMP NOT NULL,
+        source_service VARCHAR(100),
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS processed_events (
+        consumer VARCHAR(255) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        PRIMARY KEY (consumer, event_id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_aliases (
+        alias_id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(255) PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_activity_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMP,
+        end_reason VARCHAR(50),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recommendation_feedback (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        action VARCHAR(30) NOT NULL,
+        product_id VARCHAR(255),
+        category VARCHAR(100),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (product_id) REFERENCES products(id),
+        UNIQUE NULLS NOT DISTINCT (user_id, action, product_id, category)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_data_erasures (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        aliases_count INTEGER NOT NULL DEFAULT 0,
+        summary JSONB NOT NULL,
+        requested_by VARCHAR(255),
+        erased_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Проекция профилей пользователей (shared/userProfiles.js), пересобирается из журнала событий
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_profiles (
+        user_id VARCHAR(255) PRIMARY KEY,
+        view_count INTEGER NOT NULL DEFAULT 0,
+        cart_add_count INTEGER NOT NULL DEFAULT 0,
+        purchase_count INTEGER NOT NULL DEFAULT 0,
+        total_spent DECIMAL(12,2) NOT NULL DEFAULT 0,
+        category_affinity JSONB NOT NULL DEFAULT '{}',
+        price_min DECIMAL(10,2),
+        price_max DECIMAL(10,2),
+        price_total DECIMAL(14,2) NOT NULL DEFAULT 0,
+        price_samples INTEGER NOT NULL DEFAULT 0,
+        recent_products JSONB NOT NULL DEFAULT '[]',
+        first_activity_at TIMESTAMP,
+        last_activity_at TIMESTAMP,
+        last_purchase_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Журнал поисковых запросов и атрибуция действий сессии запросам (shared/searchAnalytics.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS search_queries (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        session_id VARCHAR(255),
+        activity_id INTEGER,
+        query TEXT NOT NULL,
+        normalized_query VARCHAR(255) NOT NULL,
+        terms TEXT[] NOT NULL DEFAULT '{}',
+        results_count INTEGER,
+        result_product_ids TEXT[] NOT NULL DEFAULT '{}',
+        searched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS search_attributions (
+        id SERIAL PRIMARY KEY,
+        search_id INTEGER NOT NULL REFERENCES search_queries(id) ON DELETE CASCADE,
+        user_id VARCHAR(255) NOT NULL,
+        session_id VARCHAR(255) NOT NULL,
+        product_id VARCHAR(255),
+        activity_type VARCHAR(50) NOT NULL,
+        activity_id INTEGER,
+        revenue DECIMAL(12,2),
+        attributed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Активности, задержанные проверкой на ботов и накрутки (shared/activityAbuse.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quarantined_activities (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL,
+        product_id VARCHAR(255),
+        activity_type VARCHAR(50) NOT NULL,
+        activity_data JSONB,
+        session_id VARCHAR(255),
+        ip_address VARCHAR(64),
+        score DECIMAL(6,2) NOT NULL,
+        reasons JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at TIMESTAMP,
+        reviewed_by VARCHAR(255),
+        activity_id INTEGER
+      )
+    `);
+
+    // Дерево категорий товаров (shared/categoryTree.js)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id VARCHAR(100) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        parent_id VARCHAR(100) REFERENCES categories(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_user_activities_user_id ON user_activities(user_id);
     `);
@@ -88,6 +414,177 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_recommendations_score ON recommendations(score DESC);
     `);
 
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_dead_letter_events_service_status ON dead_letter_events(service_name, status);
+    `);
+
+
+    await pool.query(`
+      ALTER TABLE events
+        ADD COLUMN IF NOT EXISTS correlation_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS causation_id VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_events_correlation_id ON events(correlation_id);
+    `);
+
+    await pool.query(`
+      ALTER TABLE dead_letter_events
+        ADD COLUMN IF NOT EXISTS subscriber_name VARCHAR(255)
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_events_type_timestamp ON events(type, timestamp);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_events_aggregate_id ON events(aggregate_id, timestamp);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_processed_events_expires_at ON processed_events(expires_at);
+    `);
+
+    await pool.query(`
+      ALTER TABLE user_activities
+        ADD COLUMN IF NOT EXISTS session_id VARCHAR(255)
+    `);
+
+    // Каталог товаров: описание и мягкое удаление (status = 'retired')
+    await pool.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS description TEXT,
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active',
+        ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_products_status_category ON products(status, category);
+    `);
+
+    // Характеристики и теги товаров
+    await pool.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}'
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_products_tags ON products USING GIN (tags);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+    `);
+
+    await pool.query(`
+      ALTER TABLE user_profiles
+        ADD COLUMN IF NOT EXISTS tag_affinity JSONB NOT NULL DEFAULT '{}'
+    `);
+
+    // Остатки на складе: stock_quantity NULL - остаток не отслеживается
+    await pool.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS stock_quantity INTEGER CHECK (stock_quantity >= 0),
+        ADD COLUMN IF NOT EXISTS availability VARCHAR(20) NOT NULL DEFAULT 'in_stock'
+    `);
+
+    // Удаленные пользователи и алиасы: строки вычищаются из архивов секций, импорт их пропускает
+    await pool.query(`
+      ALTER TABLE user_data_erasures
+        ADD COLUMN IF NOT EXISTS alias_ids TEXT[] NOT NULL DEFAULT '{}',
+        ADD COLUMN IF NOT EXISTS archives_purged_at TIMESTAMP
+    `);
+
+    // Гостевые id, созданные автоматически по активности; только их можно объединять с пользователем
+    await pool.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS anonymous BOOLEAN NOT NULL DEFAULT false
+    `);
+
+    // Outbox общий для сервисов: каждый relay публикует только события своего сервиса.
+    // Записи, созданные до появления колонки, относятся к сервису по типу события
+    await pool.query(`
+      ALTER TABLE event_outbox
+        ADD COLUMN IF NOT EXISTS source_service VARCHAR(100)
+    `);
+
+    await pool.query(`
+      UPDATE event_outbox
+      SET source_service = CASE
+        WHEN event_type LIKE 'Product%' OR event_type = 'InventoryChanged' THEN 'product-catalog-service'
+        ELSE 'user-activity-service'
+      END
+      WHERE source_service IS NULL
+    `);
+
+    await pool.query(`
+      ALTER TABLE event_outbox ALTER COLUMN source_service SET NOT NULL
+    `);
+
+    await pool.query(`
+      DROP INDEX IF EXISTS idx_event_outbox_pending;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_event_outbox_source_pending ON event_outbox(source_service, id) WHERE status = 'pending';
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_products_out_of_stock ON products(id) WHERE availability = 'out_of_stock';
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_activities_session_id ON user_activities(session_id);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id, started_at DESC);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_aliases_user_id ON user_aliases(user_id);
+    `);
+
+    // История пользователя по убыванию времени без сортировки в каждой секции
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_activities_user_timestamp ON user_activities(user_id, timestamp DESC);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_open ON user_sessions(last_activity_at) WHERE ended_at IS NULL;
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_search_queries_searched_at ON search_queries(searched_at);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_search_queries_session ON search_queries(session_id, searched_at DESC);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_search_queries_user_id ON search_queries(user_id);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_search_attributions_search_id ON search_attributions(search_id);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_search_attributions_user_id ON search_attributions(user_id);
+    `);
+
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_quarantined_activities_status ON quarantined_activities(status, created_at DESC);
+    `);
+
     console.log('Database tables initialized successfully');
   } catch (error) {
     console.error('Failed to initialize database:', error);
@@ -97,5 +594,10 @@ async function initializeDatabase() {
 
 module.exports = {
   pool,
-  initializeDatabase
+  initializeDatabase,
+  ensureActivityPartitions,
+  activityPartitionName,
+  monthStart,
+  addMonths,
+  ACTIVITY_PARTITIONS_AHEAD
 };
\ No newline at end of file
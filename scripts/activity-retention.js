@@ -0,0 +1,295 @@
+// Обслуживание помесячных секций user_activities: создание секций наперед
+// и политика хранения - секции старше ACTIVITY_RETENTION_MONTHS архивируются
+// в NDJSON (gzip) и удаляются. Из архивов вычищаются строки пользователей,
+// удаленных по запросу (user_data_erasures).
+// Использование: node scripts/activity-retention.js [--dry-run]
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+require('dotenv').config();
+
+const {
+  pool,
+  initializeDatabase,
+  ensureActivityPartitions,
+  monthStart,
+  addMonths,
+  ACTIVITY_PARTITIONS_AHEAD
+} = require('../config/database');
+
+const RETENTION_MODES = ['archive', 'drop'];
+const PARTITION_PATTERN = /^user_activities_(\d{4})_(\d{2})$/;
+const ARCHIVE_PATTERN = /^user_activities_\d{4}_\d{2}\.ndjson\.gz$/;
+
+class ActivityRetention {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    // 0 - хранить историю бессрочно
+    this.retentionMonths = options.retentionMonths !== undefined
+      ? options.retentionMonths
+      : parseInt(process.env.ACTIVITY_RETENTION_MONTHS || '12');
+    this.mode = options.mode || process.env.ACTIVITY_RETENTION_MODE || 'archive';
+    this.archiveDir = options.archiveDir || process.env.ACTIVITY_ARCHIVE_DIR || path.join(__dirname, '..', 'archive');
+    this.monthsAhead = options.monthsAhead || ACTIVITY_PARTITIONS_AHEAD;
+    this.interval = options.interval || 24 * 60 * 60 * 1000;
+    this.batchSize = options.batchSize || 5000;
+    this.timer = null;
+
+    if (!RETENTION_MODES.includes(this.mode)) {
+      throw new Error(`ACTIVITY_RETENTION_MODE must be one of: ${RETENTION_MODES.join(', ')}`);
+    }
+  }
+
+  start() {
+    this.run();
+    this.timer = setInterval(() => this.run(), this.interval);
+    console.log(`Activity retention started (keep ${this.retentionMonths || 'all'} months, mode: ${this.mode})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async run({ dryRun = false } = {}) {
+    try {
+      return await this.withMaintenanceLock(async () => {
+        const now = new Date();
+        const created = dryRun ? [] : await ensureActivityPartitions(now, addMonths(now, this.monthsAhead), this.db);
+        const expired = await this.applyRetention({ dryRun });
+        const purged = dryRun ? null : await this.purgeErasedUsers();
+        return { success: true, created, expired, purged };
+      });
+    } catch (error) {
+      console.error('Activity partition maintenance failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Вызывается после удаления данных пользователя и не ждет идущего обслуживания:
+  // оно очистит архивы само, так как purgeErasedUsers выполняется после архивации секций
+  async purgeArchives() {
+    try {
+      const purged = await this.withMaintenanceLock(() => this.purgeErasedUsers());
+      return { success: true, ...purged };
+    } catch (error) {
+      // Неочищенные архивы будут обработаны при следующем обслуживании
+      console.error('Activity archive purge failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Обслуживание выполняет один экземпляр сервиса, остальные пропускают запуск
+  async withMaintenanceLock(work) {
+    const client = await this.db.connect();
+    const lockKey = "hashtext('user_activities_maintenance')";
+
+    try {
+      const lock = await client.query(`SELECT pg_try_advisory_lock(${lockKey}) AS acquired`);
+      if (!lock.rows[0].acquired) {
+        return { success: true, skipped: true };
+      }
+
+      try {
+        return await work();
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock(${lockKey})`);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // Помесячные секции в порядке возрастания месяца (без секции по умолчанию)
+  async listPartitions() {
+    const result = await this.db.query(`
+      SELECT c.relname AS name, c.reltuples::bigint AS estimated_rows
+      FROM pg_inherits i
+      JOIN pg_class c ON c.oid = i.inhrelid
+      WHERE i.inhparent = 'user_activities'::regclass
+    `);
+
+    return result.rows
+      .filter(row => PARTITION_PATTERN.test(row.name))
+      .map(row => {
+        const [, year, month] = row.name.match(PARTITION_PATTERN);
+        return {
+          name: row.name,
+          month: new Date(Date.UTC(parseInt(year), parseInt(month) - 1, 1)),
+          estimatedRows: Math.max(parseInt(row.estimated_rows), 0)
+        };
+      })
+      .sort((a, b) => a.month - b.month);
+  }
+
+  // Секция удаляется целиком, когда весь ее месяц старше срока хранения
+  async applyRetention({ dryRun = false } = {}) {
+    if (!this.retentionMonths) return [];
+
+    const cutoff = addMonths(monthStart(new Date()), -this.retentionMonths);
+    const expired = (await this.listPartitions()).filter(partition => partition.month < cutoff);
+    const results = [];
+
+    for (const partition of expired) {
+      if (dryRun) {
+        results.push({ partition: partition.name, estimatedRows: partition.estimatedRows, dryRun: true });
+        continue;
+      }
+
+      const archive = this.mode === 'archive' ? await this.archivePartition(partition.name) : null;
+      await this.dropPartition(partition.name);
+      results.push({ partition: partition.name, ...archive });
+      console.log(`Activity partition ${partition.name} expired${archive ? `, archived to ${archive.file}` : ''}`);
+    }
+
+    return results;
+  }
+
+  // Выгрузка в формате импорта: архив восстанавливается через scripts/import-activities.js.
+  // Файл пишется во временный и переименовывается после успешной записи
+  async archivePartition(name) {
+    await fs.promises.mkdir(this.archiveDir, { recursive: true });
+    const file = path.join(this.archiveDir, `${name}.ndjson.gz`);
+    const tempFile = `${file}.tmp`;
+    const db = this.db;
+    const batchSize = this.batchSize;
+    let rows = 0;
+
+    async function* lines() {
+      let lastId = 0;
+      for (;;) {
+        const result = await db.query(`
+          SELECT id, user_id, product_id, activity_type, activity_data, session_id, timestamp
+          FROM ${name}
+          WHERE id > $1
+          ORDER BY id
+          LIMIT $2
+        `, [lastId, batchSize]);
+
+        for (const row of result.rows) {
+          rows++;
+          yield JSON.stringify({
+            userId: row.user_id,
+            productId: row.product_id || undefined,
+            activityType: row.activity_type,
+            metadata: row.activity_data || {},
+            sessionId: row.session_id || undefined,
+            timestamp: row.timestamp
+          }) + '\n';
+        }
+
+        if (result.rows.length < batchSize) return;
+        lastId = result.rows[result.rows.length - 1].id;
+      }
+    }
+
+    await pipeline(lines, zlib.createGzip(), fs.createWriteStream(tempFile));
+    await fs.promises.rename(tempFile, file);
+
+    return { file, rows };
+  }
+
+  // Удаляет из архивов строки пользователей и алиасов из еще не обработанных записей user_data_erasures
+  async purgeErasedUsers() {
+    const pending = await this.db.query(`
+      SELECT id, user_id, alias_ids FROM user_data_erasures
+      WHERE archives_purged_at IS NULL
+    `);
+    if (pending.rows.length === 0) {
+      return { erasures: 0, archives: 0, linesRemoved: 0 };
+    }
+
+    const userIds = new Set(pending.rows.flatMap(row => [row.user_id, ...(row.alias_ids || [])]));
+    const files = await this.listArchives();
+    let linesRemoved = 0;
+
+    for (const file of files) {
+      linesRemoved += await this.purgeArchive(file, userIds);
+    }
+
+    await this.db.query(`
+      UPDATE user_data_erasures SET archives_purged_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($1)
+    `, [pending.rows.map(row => row.id)]);
+
+    if (linesRemoved > 0) {
+      console.log(`Removed ${linesRemoved} activities of erased users from ${files.length} archives`);
+    }
+    return { erasures: pending.rows.length, archives: files.length, linesRemoved };
+  }
+
+  async listArchives() {
+    try {
+      const names = await fs.promises.readdir(this.archiveDir);
+      return names.filter(name => ARCHIVE_PATTERN.test(name)).sort().map(name => path.join(this.archiveDir, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Архив переписывается через временный файл, только если в нем есть строки удаленных пользователей
+  async purgeArchive(file, userIds) {
+    const tempFile = `${file}.tmp`;
+    let removed = 0;
+
+    async function* keptLines(source) {
+      for await (const line of readline.createInterface({ input: source, crlfDelay: Infinity })) {
+        if (line.trim() === '') continue;
+        if (userIds.has(JSON.parse(line).userId)) {
+          removed++;
+          continue;
+        }
+        yield line + '\n';
+      }
+    }
+
+    await pipeline(fs.createReadStream(file), zlib.createGunzip(), keptLines, zlib.createGzip(), fs.createWriteStream(tempFile));
+
+    if (removed > 0) {
+      await fs.promises.rename(tempFile, file);
+    } else {
+      await fs.promises.unlink(tempFile);
+    }
+    return removed;
+  }
+
+  async dropPartition(name) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`ALTER TABLE user_activities DETACH PARTITION ${name}`);
+      await client.query(`DROP TABLE ${name}`);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Запуск обслуживания из командной строки
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  initializeDatabase()
+    .then(() => new ActivityRetention().run({ dryRun }))
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('Activity partition maintenance failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ActivityRetention,
+  RETENTION_MODES
+};
@@ -0,0 +1,365 @@
+// Импорт исторических активностей из CSV или NDJSON в user_activities.
+// Использование: node scripts/import-activities.js <файл[.gz]> [--format=csv|ndjson] [--no-events] [--batch-size=500]
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+require('dotenv').config();
+
+const { pool, initializeDatabase, ensureActivityPartitions, monthStart, addMonths } = require('../config/database');
+const { EventFactory } = require('../shared/events');
+const { schemaRegistry } = require('../shared/eventSchemas');
+const { validateActivity } = require('../shared/activitySchemas');
+const { OutboxRelay } = require('../shared/outbox');
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+const MAX_REPORTED_ERRORS = 100;
+
+// Колонки CSV с полями активности; остальные колонки попадают в metadata
+const CSV_FIELDS = {
+  userid: 'userId',
+  user_id: 'userId',
+  productid: 'productId',
+  product_id: 'productId',
+  activitytype: 'activityType',
+  activity_type: 'activityType',
+  sessionid: 'sessionId',
+  session_id: 'sessionId',
+  timestamp: 'timestamp',
+  metadata: 'metadata'
+};
+
+// Формат по расширению файла или Content-Type запроса
+function detectFormat(value = '') {
+  if (/csv/i.test(value)) return 'csv';
+  if (/ndjson|jsonl|x-ndjson/i.test(value)) return 'ndjson';
+  return null;
+}
+
+// Разбор строки CSV с поддержкой кавычек ("" внутри кавычек - экранированная кавычка).
+// Значения с переводом строки внутри кавычек не поддерживаются
+function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted value');
+  }
+
+  values.push(current);
+  return values;
+}
+
+function parseCsvValue(value) {
+  return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+class ActivityImporter {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    this.format = options.format;
+    this.publishEvents = options.publishEvents !== false;
+    this.batchSize = options.batchSize || 500;
+    // Срок хранения как у обслуживания секций (scripts/activity-retention.js), 0 - бессрочно
+    this.retentionMonths = options.retentionMonths !== undefined
+      ? options.retentionMonths
+      : parseInt(process.env.ACTIVITY_RETENTION_MONTHS || '12');
+    // События импорта публикует relay User Activity Service
+    this.outboxRelay = options.outboxRelay || new OutboxRelay({ serviceName: 'user-activity-service' });
+    this.header = null;
+    this.report = {
+      success: true,
+      format: this.format,
+      publishEvents: this.publishEvents,
+      processed: 0,
+      imported: 0,
+      rejected: 0,
+      erasedSkipped: 0,
+      usersCreated: 0,
+      productsCreated: 0,
+      errors: [],
+      errorsTruncated: false
+    };
+  }
+
+  async import(input) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let lineNumber = 0;
+    let batch = [];
+
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') continue;
+
+        if (this.format === 'csv' && !this.header) {
+          this.header = parseCsvLine(line).map(column => column.trim());
+          continue;
+        }
+
+        this.report.processed++;
+        try {
+          batch.push({ line: lineNumber, activityData: this.parseLine(line) });
+        } catch (error) {
+          this.reject(lineNumber, error.message);
+        }
+
+        if (batch.length >= this.batchSize) {
+          await this.flush(batch);
+          batch = [];
+        }
+      }
+
+      await this.flush(batch);
+    } catch (error) {
+      console.error('Activity import failed:', error);
+      this.report.success = false;
+      this.report.error = error.message;
+    }
+
+    console.log(`Activity import finished: ${this.report.imported} imported, ${this.report.rejected} rejected, ${this.report.erasedSkipped} of erased users skipped`);
+    return this.report;
+  }
+
+  parseLine(line) {
+    if (this.format === 'ndjson') {
+      const activityData = JSON.parse(line);
+      if (!activityData || typeof activityData !== 'object' || Array.isArray(activityData)) {
+        throw new Error('Line must be a JSON object');
+      }
+      return activityData;
+    }
+
+    const values = parseCsvLine(line);
+    const activityData = { metadata: {} };
+
+    this.header.forEach((column, i) => {
+      const value = values[i] === undefined ? '' : values[i].trim();
+      if (value === '') return;
+
+      const field = CSV_FIELDS[column.toLowerCase()];
+      if (field === 'metadata') {
+        Object.assign(activityData.metadata, JSON.parse(value));
+      } else if (field) {
+        activityData[field] = value;
+      } else {
+        activityData.metadata[column] = parseCsvValue(value);
+      }
+    });
+
+    return activityData;
+  }
+
+  reject(line, error, details) {
+    this.report.rejected++;
+
+    if (this.report.errors.length < MAX_REPORTED_ERRORS) {
+      this.report.errors.push(details ? { line, error, details } : { line, error });
+    } else {
+      this.report.errorsTruncated = true;
+    }
+  }
+
+  // Создание события по активности с исторической датой и проверка его контракта
+  buildEvent(activityData) {
+    const timestamp = new Date(activityData.timestamp);
+    if (!activityData.timestamp || isNaN(timestamp.getTime())) {
+      return { error: 'timestamp is required and must be a valid date' };
+    }
+
+    // Секцию такого месяца удалит ближайшее обслуживание, поэтому строка не импортируется
+    if (this.retentionMonths && timestamp < addMonths(monthStart(new Date()), -this.retentionMonths)) {
+      return { error: `timestamp is older than ACTIVITY_RETENTION_MONTHS (${this.retentionMonths})` };
+    }
+
+    const requestErrors = validateActivity(activityData);
+    if (requestErrors.length > 0) {
+      return { error: 'Invalid activity', details: requestErrors };
+    }
+
+    const event = EventFactory.createFromActivity(activityData);
+    event.timestamp = timestamp;
+    event.data.timestamp = timestamp;
+
+    const validationErrors = schemaRegistry.validateFields(event.type, event.data);
+    if (validationErrors.length > 0) {
+      return { error: `Invalid ${activityData.activityType} activity`, details: validationErrors };
+    }
+
+    return { event, timestamp };
+  }
+
+  async flush(batch) {
+    if (batch.length === 0) return;
+
+    // Активности гостей, уже объединенных с пользователями, записываются на пользователя
+    const userIds = Array.from(new Set(batch.map(item => item.activityData.userId).filter(Boolean)));
+    const aliases = await this.db.query(
+      'SELECT alias_id, user_id FROM user_aliases WHERE alias_id = ANY($1)',
+      [userIds]
+    );
+    const resolved = new Map(aliases.rows.map(row => [row.alias_id, row.user_id]));
+
+    // Данные пользователей, удаленных по запросу, не восстанавливаются (например, из архива секции)
+    const erasures = await this.db.query(`
+      SELECT user_id, alias_ids FROM user_data_erasures
+      WHERE user_id = ANY($1) OR alias_ids && $1::text[]
+    `, [userIds]);
+    const erased = new Set(erasures.rows.flatMap(row => [row.user_id, ...(row.alias_ids || [])]));
+
+    const accepted = [];
+    for (const item of batch) {
+      if (erased.has(item.activityData.userId)) {
+        this.report.erasedSkipped++;
+        continue;
+      }
+
+      const activityData = { ...item.activityData };
+      activityData.userId = resolved.get(activityData.userId) || activityData.userId;
+
+      let built;
+      try {
+        built = this.buildEvent(activityData);
+      } catch (error) {
+        built = { error: error.message };
+      }
+
+      if (built.error) {
+        this.reject(item.line, built.error, built.details);
+      } else {
+        accepted.push({ ...item, activityData, ...built });
+      }
+    }
+
+    if (accepted.length === 0) return;
+
+    // Исторические активности попадают в секции своих месяцев, а не в секцию по умолчанию
+    const times = accepted.map(item => item.timestamp.getTime());
+    const from = new Date(times.reduce((a, b) => Math.min(a, b)));
+    const to = new Date(times.reduce((a, b) => Math.max(a, b)));
+    await ensureActivityPartitions(from, to, this.db);
+
+    const client = await this.db.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Недостающие пользователи и товары создаются, чтобы не нарушать внешние ключи
+      const users = await client.query(`
+        INSERT INTO users (id)
+        SELECT UNNEST($1::varchar[])
+        ON CONFLICT (id) DO NOTHING
+        RETURNING id
+      `, [Array.from(new Set(accepted.map(item => item.activityData.userId)))]);
+
+      const productIds = Array.from(new Set(accepted.map(item => item.activityData.productId).filter(Boolean)));
+      const products = await client.query(`
+        INSERT INTO products (id, name)
+        SELECT id, id FROM UNNEST($1::varchar[]) AS id
+        ON CONFLICT (id) DO NOTHING
+        RETURNING id
+      `, [productIds]);
+
+      const params = [];
+      const values = accepted.map(({ activityData, timestamp }) => {
+        params.push(
+          activityData.userId,
+          activityData.productId || null,
+          activityData.activityType,
+          activityData.metadata || {},
+          activityData.sessionId || null,
+          timestamp
+        );
+        const offset = params.length - 6;
+        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6})`;
+      });
+
+      await client.query(`
+        INSERT INTO user_activities (user_id, product_id, activity_type, activity_data, session_id, timestamp)
+        VALUES ${values.join(', ')}
+      `, params);
+
+      if (this.publishEvents) {
+        await this.outboxRelay.enqueueMany(client, accepted.map(item => item.event));
+      }
+
+      await client.query('COMMIT');
+
+      this.report.imported += accepted.length;
+      this.report.usersCreated += users.rowCount;
+      this.report.productsCreated += products.rowCount;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Failed to import activity batch:', error);
+      accepted.forEach(item => this.reject(item.line, error.message));
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Запуск импорта из командной строки
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const option = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+  };
+  // Архивы секций (scripts/activity-retention.js) сжаты gzip
+  const compressed = /\.gz$/i.test(file || '');
+  const format = option('format') || detectFormat(path.extname((file || '').replace(/\.gz$/i, '')));
+
+  if (!file || !IMPORT_FORMATS.includes(format)) {
+    console.error('Usage: node scripts/import-activities.js <file.csv|file.ndjson>[.gz] [--format=csv|ndjson] [--no-events] [--batch-size=500]');
+    process.exit(1);
+  }
+
+  const importer = new ActivityImporter({
+    format,
+    publishEvents: !args.includes('--no-events'),
+    batchSize: parseInt(option('batch-size')) || undefined
+  });
+
+  initializeDatabase()
+    .then(() => {
+      const input = fs.createReadStream(file);
+      return importer.import(compressed ? input.pipe(zlib.createGunzip()) : input);
+    })
+    .then((report) => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('Activity import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ActivityImporter,
+  detectFormat,
+  IMPORT_FORMATS
+};
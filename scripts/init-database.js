@@ -33,19 +33,36 @@ async function insertDemoData() {
       ON CONFLICT (id) DO NOTHING
     `);
 
+    // Вставка дерева категорий
+    await client.query(`
+      INSERT INTO categories (id, name, parent_id) VALUES
+        ('Электроника', 'Электроника', NULL),
+        ('Бытовая техника', 'Бытовая техника', NULL),
+        ('Книги', 'Книги', NULL),
+        ('Аксессуары', 'Аксессуары', NULL),
+        ('Смартфоны', 'Смартфоны', 'Электроника'),
+        ('Аудио', 'Аудио', 'Электроника'),
+        ('Компьютеры', 'Компьютеры', 'Электроника'),
+        ('Ноутбуки', 'Ноутбуки', 'Компьютеры'),
+        ('Планшеты', 'Планшеты', 'Компьютеры'),
+        ('Накопители', 'Накопители', 'Компьютеры'),
+        ('Носимые устройства', 'Носимые устройства', 'Электроника')
+      ON CONFLICT (id) DO NOTHING
+    `);
+
     // Вставка товаров
     await client.query(`
-      INSERT INTO products (id, name, category, price) VALUES
-        ('product-1', 'Смартфон Galaxy A53', 'Электроника', 29999.00),
-        ('product-2', 'Наушники Bluetooth Sony', 'Электроника', 8999.00),
-        ('product-3', 'Ноутбук Lenovo IdeaPad', 'Электроника', 45999.00),
-        ('product-4', 'Кофемашина Nespresso', 'Бытовая техника', 12999.00),
-        ('product-5', 'Фитнес-б Xiaomi Mi Band', 'Электроника', 2999.00),
-        ('product-6', 'Умные часы Apple Watch', 'Электроника', 35999.00),
-        ('product-7', 'Книга "Искусственный интеллект"', 'Книги', 899.00),
-        ('product-8', 'Рюкзак для ноутбука', 'Аксессуары', 2499.00),
-        ('product-9', 'Внешний SSD 1TB', 'Электроника', 7999.00),
-        ('product-10', 'Планшет iPad', 'Электроника', 39999.00)
+      INSERT INTO products (id, name, category, price, attributes, tags) VALUES
+        ('product-1', 'Смартфон Galaxy A53', 'Смартфоны', 29999.00, '{"brand": "Samsung", "os": "Android"}', '{5g}'),
+        ('product-2', 'Наушники Bluetooth Sony', 'Аудио', 8999.00, '{"brand": "Sony", "wireless": true}', '{bluetooth}'),
+        ('product-3', 'Ноутбук Lenovo IdeaPad', 'Ноутбуки', 45999.00, '{"brand": "Lenovo"}', '{}'),
+        ('product-4', 'Кофемашина Nespresso', 'Бытовая техника', 12999.00, '{"brand": "Nespresso"}', '{}'),
+        ('product-5', 'Фитнес-б Xiaomi Mi Band', 'Носимые устройства', 2999.00, '{"brand": "Xiaomi", "wireless": true}', '{bluetooth,фитнес}'),
+        ('product-6', 'Умные часы Apple Watch', 'Носимые устройства', 35999.00, '{"brand": "Apple", "os": "watchOS", "wireless": true}', '{bluetooth,фитнес}'),
+        ('product-7', 'Книга "Искусственный интеллект"', 'Книги', 899.00, '{}', '{}'),
+        ('product-8', 'Рюкзак для ноутбука', 'Аксессуары', 2499.00, '{}', '{}'),
+        ('product-9', 'Внешний SSD 1TB', 'Накопители', 7999.00, '{"capacity_gb": 1024}', '{}'),
+        ('product-10', 'Планшет iPad', 'Планшеты', 39999.00, '{"brand": "Apple", "os": "iPadOS"}', '{}')
       ON CONFLICT (id) DO NOTHING
     `);
 
@@ -122,6 +139,8 @@ async function checkAndInitialize() {
       await initializeDatabaseWithDemoData();
     } else {
       console.log('✅ Database already initialized');
+      // Создание таблиц, добавленных после первоначальной инициализации
+      await initializeDatabase();
     }
 
   } catch (error) {
@@ -4,6 +4,8 @@
 -- Пользователи
 CREATE TABLE IF NOT EXISTS users (
   id VARCHAR(255) PRIMARY KEY,
+  -- true - гостевой id, созданный автоматически по активности
+  anonymous BOOLEAN NOT NULL DEFAULT false,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -14,21 +16,49 @@ CREATE TABLE IF NOT EXISTS products (
   name VARCHAR(500) NOT NULL,
   category VARCHAR(100),
   price DECIMAL(10,2),
+  description TEXT,
+  -- Произвольные характеристики товара и теги
+  attributes JSONB NOT NULL DEFAULT '{}',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  -- Остаток на складе (NULL - не отслеживается) и наличие: in_stock, low_stock или out_of_stock
+  stock_quantity INTEGER CHECK (stock_quantity >= 0),
+  availability VARCHAR(20) NOT NULL DEFAULT 'in_stock',
+  -- active или retired (товар выведен из каталога, но сохранен для истории)
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  retired_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Активности пользователей
+-- Активности пользователей: помесячные секции user_activities_YYYY_MM
 CREATE TABLE IF NOT EXISTS user_activities (
-  id SERIAL PRIMARY KEY,
+  id SERIAL,
   user_id VARCHAR(255) NOT NULL,
   product_id VARCHAR(255),
   activity_type VARCHAR(50) NOT NULL,
   activity_data JSONB,
-  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  session_id VARCHAR(255),
+  timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id, timestamp),
   FOREIGN KEY (user_id) REFERENCES users(id),
   FOREIGN KEY (product_id) REFERENCES products(id)
-);
+) PARTITION BY RANGE (timestamp);
+
+CREATE TABLE IF NOT EXISTS user_activities_default PARTITION OF user_activities DEFAULT;
+
+-- Секции предыдущего, текущего и трех следующих месяцев; дальше их создает User Activity Service
+DO $$
+DECLARE
+  month DATE;
+BEGIN
+  FOR i IN -1..3 LOOP
+    month := (date_trunc('month', NOW() AT TIME ZONE 'UTC') + make_interval(months => i))::date;
+    EXECUTE format(
+      'CREATE TABLE IF NOT EXISTS %I PARTITION OF user_activities FOR VALUES FROM (%L) TO (%L)',
+      'user_activities_' || to_char(month, 'YYYY_MM'), month, (month + INTERVAL '1 month')::date
+    );
+  END LOOP;
+END $$;
 
 -- Рекомендации
 CREATE TABLE IF NOT EXISTS recommendations (
@@ -54,11 +84,208 @@ CREATE TABLE IF NOT EXISTS recommendation_models (
   deployed_at TIMESTAMP
 );
 
+-- События, не обработанные подписчиками после всех повторов
+CREATE TABLE IF NOT EXISTS dead_letter_events (
+  id SERIAL PRIMARY KEY,
+  service_name VARCHAR(100) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  subscriber_name VARCHAR(255),
+  payload JSONB NOT NULL,
+  error_message TEXT,
+  error_stack TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  status VARCHAR(20) DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Transactional outbox для публикации событий User Activity Service
+CREATE TABLE IF NOT EXISTS event_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  event_id VARCHAR(255) NOT NULL UNIQUE,
+  event_type VARCHAR(100) NOT NULL,
+  aggregate_id VARCHAR(255),
+  source_service VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  last_attempt_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP
+);
+
+-- Журнал всех опубликованных событий
+CREATE TABLE IF NOT EXISTS events (
+  position BIGSERIAL UNIQUE,
+  id VARCHAR(255) PRIMARY KEY,
+  type VARCHAR(100) NOT NULL,
+  schema_version INTEGER NOT NULL DEFAULT 1,
+  aggregate_id VARCHAR(255),
+  data JSONB NOT NULL,
+  timestamp TIMESTAMP NOT NULL,
+  source_service VARCHAR(100),
+  recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  correlation_id VARCHAR(255),
+  causation_id VARCHAR(255)
+);
+
+-- Обработанные подписчиками события (идемпотентность)
+CREATE TABLE IF NOT EXISTS processed_events (
+  consumer VARCHAR(255) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (consumer, event_id)
+);
+
+-- Гостевые id, объединенные с зарегистрированными пользователями
+CREATE TABLE IF NOT EXISTS user_aliases (
+  alias_id VARCHAR(255) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Сессии пользователей; сессия закрывается после периода бездействия
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id VARCHAR(255) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_activity_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP,
+  end_reason VARCHAR(50),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Негативная обратная связь по рекомендациям: скрытые товары и категории
+CREATE TABLE IF NOT EXISTS recommendation_feedback (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  action VARCHAR(30) NOT NULL,
+  product_id VARCHAR(255),
+  category VARCHAR(100),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  UNIQUE NULLS NOT DISTINCT (user_id, action, product_id, category)
+);
+
+-- Журнал аудита удаления данных пользователей (право на забвение)
+CREATE TABLE IF NOT EXISTS user_data_erasures (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  alias_ids TEXT[] NOT NULL DEFAULT '{}',
+  aliases_count INTEGER NOT NULL DEFAULT 0,
+  summary JSONB NOT NULL,
+  requested_by VARCHAR(255),
+  erased_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  archives_purged_at TIMESTAMP
+);
+
+-- Проекция профилей пользователей, обновляется по событиям активности
+CREATE TABLE IF NOT EXISTS user_profiles (
+  user_id VARCHAR(255) PRIMARY KEY,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  cart_add_count INTEGER NOT NULL DEFAULT 0,
+  purchase_count INTEGER NOT NULL DEFAULT 0,
+  total_spent DECIMAL(12,2) NOT NULL DEFAULT 0,
+  category_affinity JSONB NOT NULL DEFAULT '{}',
+  tag_affinity JSONB NOT NULL DEFAULT '{}',
+  price_min DECIMAL(10,2),
+  price_max DECIMAL(10,2),
+  price_total DECIMAL(14,2) NOT NULL DEFAULT 0,
+  price_samples INTEGER NOT NULL DEFAULT 0,
+  recent_products JSONB NOT NULL DEFAULT '[]',
+  first_activity_at TIMESTAMP,
+  last_activity_at TIMESTAMP,
+  last_purchase_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Журнал поисковых запросов
+CREATE TABLE IF NOT EXISTS search_queries (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  session_id VARCHAR(255),
+  activity_id INTEGER,
+  query TEXT NOT NULL,
+  normalized_query VARCHAR(255) NOT NULL,
+  terms TEXT[] NOT NULL DEFAULT '{}',
+  results_count INTEGER,
+  result_product_ids TEXT[] NOT NULL DEFAULT '{}',
+  searched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Действия сессии, засчитанные поисковому запросу
+CREATE TABLE IF NOT EXISTS search_attributions (
+  id SERIAL PRIMARY KEY,
+  search_id INTEGER NOT NULL REFERENCES search_queries(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  session_id VARCHAR(255) NOT NULL,
+  product_id VARCHAR(255),
+  activity_type VARCHAR(50) NOT NULL,
+  activity_id INTEGER,
+  revenue DECIMAL(12,2),
+  attributed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Активности, задержанные проверкой на ботов и накрутки, до решения администратора
+CREATE TABLE IF NOT EXISTS quarantined_activities (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  product_id VARCHAR(255),
+  activity_type VARCHAR(50) NOT NULL,
+  activity_data JSONB,
+  session_id VARCHAR(255),
+  ip_address VARCHAR(64),
+  score DECIMAL(6,2) NOT NULL,
+  reasons JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reviewed_at TIMESTAMP,
+  reviewed_by VARCHAR(255),
+  activity_id INTEGER
+);
+
+-- Дерево категорий товаров: products.category ссылается на categories.id
+CREATE TABLE IF NOT EXISTS categories (
+  id VARCHAR(100) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  parent_id VARCHAR(100) REFERENCES categories(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Индексы для оптимизации
 CREATE INDEX IF NOT EXISTS idx_user_activities_user_id ON user_activities(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_activities_timestamp ON user_activities(timestamp);
 CREATE INDEX IF NOT EXISTS idx_recommendations_user_id ON recommendations(user_id);
 CREATE INDEX IF NOT EXISTS idx_recommendations_score ON recommendations(score DESC);
+CREATE INDEX IF NOT EXISTS idx_dead_letter_events_service_status ON dead_letter_events(service_name, status);
+CREATE INDEX IF NOT EXISTS idx_event_outbox_source_pending ON event_outbox(source_service, id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_events_type_timestamp ON events(type, timestamp);
+CREATE INDEX IF NOT EXISTS idx_events_aggregate_id ON events(aggregate_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
+CREATE INDEX IF NOT EXISTS idx_events_correlation_id ON events(correlation_id);
+CREATE INDEX IF NOT EXISTS idx_processed_events_expires_at ON processed_events(expires_at);
+CREATE INDEX IF NOT EXISTS idx_user_activities_session_id ON user_activities(session_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_aliases_user_id ON user_aliases(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_activities_user_timestamp ON user_activities(user_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_open ON user_sessions(last_activity_at) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_search_queries_searched_at ON search_queries(searched_at);
+CREATE INDEX IF NOT EXISTS idx_search_queries_session ON search_queries(session_id, searched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_search_queries_user_id ON search_queries(user_id);
+CREATE INDEX IF NOT EXISTS idx_search_attributions_search_id ON search_attributions(search_id);
+CREATE INDEX IF NOT EXISTS idx_search_attributions_user_id ON search_attributions(user_id);
+CREATE INDEX IF NOT EXISTS idx_quarantined_activities_status ON quarantined_activities(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_products_status_category ON products(status, category);
+CREATE INDEX IF NOT EXISTS idx_products_tags ON products USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_products_out_of_stock ON products(id) WHERE availability = 'out_of_stock';
 
 -- Вставка демо-данных
 
@@ -67,16 +294,31 @@ INSERT INTO users (id) VALUES
   ('user-1'), ('user-2'), ('user-3'), ('user-4'), ('user-5')
 ON CONFLICT (id) DO NOTHING;
 
+-- Категории
+INSERT INTO categories (id, name, parent_id) VALUES
+  ('Электроника', 'Электроника', NULL),
+  ('Бытовая техника', 'Бытовая техника', NULL),
+  ('Книги', 'Книги', NULL),
+  ('Аксессуары', 'Аксессуары', NULL),
+  ('Смартфоны', 'Смартфоны', 'Электроника'),
+  ('Аудио', 'Аудио', 'Электроника'),
+  ('Компьютеры', 'Компьютеры', 'Электроника'),
+  ('Ноутбуки', 'Ноутбуки', 'Компьютеры'),
+  ('Планшеты', 'Планшеты', 'Компьютеры'),
+  ('Накопители', 'Накопители', 'Компьютеры'),
+  ('Носимые устройства', 'Носимые устройства', 'Электроника')
+ON CONFLICT (id) DO NOTHING;
+
 -- Товары
-INSERT INTO products (id, name, category, price) VALUES
-  ('product-1', 'Смартфон Galaxy A53', 'Электроника', 29999.00),
-  ('product-2', 'Наушники Bluetooth Sony', 'Электроника', 8999.00),
-  ('product-3', 'Ноутбук Lenovo IdeaPad', 'Электроника', 45999.00),
-  ('product-4', 'Кофемашина Nespresso', 'Бытовая техника', 12999.00),
-  ('product-5', 'Фитнес-браслет Xiaomi Mi Band', 'Электроника', 2999.00),
-  ('product-6', 'Умные часы Apple Watch', 'Электроника', 35999.00),
-  ('product-7', 'Книга "Искусственный интеллект"', 'Книги', 899.00),
-  ('product-8', 'Рюкзак для ноутбука', 'Аксессуары', 2499.00),
-  ('product-9', 'Внешний SSD 1TB', 'Электроника', 7999.00),
-  ('product-10', 'Планшет iPad', 'Электроника', 39999.00)
+INSERT INTO products (id, name, category, price, attributes, tags) VALUES
+  ('product-1', 'Смартфон Galaxy A53', 'Смартфоны', 29999.00, '{"brand": "Samsung", "os": "Android"}', '{5g}'),
+  ('product-2', 'Наушники Bluetooth Sony', 'Аудио', 8999.00, '{"brand": "Sony", "wireless": true}', '{bluetooth}'),
+  ('product-3', 'Ноутбук Lenovo IdeaPad', 'Ноутбуки', 45999.00, '{"brand": "Lenovo"}', '{}'),
+  ('product-4', 'Кофемашина Nespresso', 'Бытовая техника', 12999.00, '{"brand": "Nespresso"}', '{}'),
+  ('product-5', 'Фитнес-браслет Xiaomi Mi Band', 'Носимые устройства', 2999.00, '{"brand": "Xiaomi", "wireless": true}', '{bluetooth,фитнес}'),
+  ('product-6', 'Умные часы Apple Watch', 'Носимые устройства', 35999.00, '{"brand": "Apple", "os": "watchOS", "wireless": true}', '{bluetooth,фитнес}'),
+  ('product-7', 'Книга "Искусственный интеллект"', 'Книги', 899.00, '{}', '{}'),
+  ('product-8', 'Рюкзак для ноутбука', 'Аксессуары', 2499.00, '{}', '{}'),
+  ('product-9', 'Внешний SSD 1TB', 'Накопители', 7999.00, '{"capacity_gb": 1024}', '{}'),
+  ('product-10', 'Планшет iPad', 'Планшеты', 39999.00, '{"brand": "Apple", "os": "iPadOS"}', '{}')
 ON CONFLICT (id) DO NOTHING;
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Запуск всех пяти сервисов в одном процессе Node.js для локальной разработки.
+// По умолчанию используется in-process транспорт EventBus, Redis не требуется.
+// По SIGTERM сервисы останавливаются по очереди, общий пул соединений закрывается один раз (shared/shutdown.js)
+process.env.EVENT_BUS_TRANSPORT = process.env.EVENT_BUS_TRANSPORT || 'memory';
+
+require('../services/user-activity-service');
+require('../services/recommendation-engine');
+require('../services/recommendation-api');
+require('../services/model-training-service');
+require('../services/product-catalog-service');
@@ -3,10 +3,18 @@ const cors = require('cors');
 const helmet = require('helmet');
 const _ = require('lodash');
 const moment = require('moment');
+const axios = require('axios');
 require('dotenv').config();
 
 const EventBus = require('../../shared/eventBus');
+const { correlationMiddleware, attachCorrelationToAxios } = require('../../shared/correlation');
+const EventStore = require('../../shared/eventStore');
+const { createEventRoutes } = require('../../shared/eventRoutes');
 const { EventFactory, EVENT_TYPES } = require('../../shared/events');
+const { SearchAnalytics } = require('../../shared/searchAnalytics');
+const { CategoryTree } = require('../../shared/categoryTree');
+const { DEFAULT_ACTIVITY_WEIGHTS } = require('../../shared/activitySchemas');
+const { onShutdown } = require('../../shared/shutdown');
 const { pool } = require('../../config/database');
 
 const app = express();
@@ -15,8 +23,60 @@ const PORT = process.env.MODEL_TRAINING_SERVICE_PORT || 3004;
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
+app.use(correlationMiddleware());
 
-const eventBus = new EventBus();
+attachCorrelationToAxios(axios);
+
+const SERVICE_NAME = 'model-training-service';
+const eventStore = new EventStore({ serviceName: SERVICE_NAME });
+const eventBus = new EventBus({ serviceName: SERVICE_NAME, eventStore });
+const searchAnalytics = new SearchAnalytics();
+
+function getRating(row) {
+  return parseInt(row.activity_data && row.activity_data.rating) || 3;
+}
+
+// Оценка 1-5 смещается относительно нейтральной 3: низкие оценки дают отрицательный вклад
+function ratingScore(rating, weights) {
+  return weights.rate * (rating - 3) / 2;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b) / values.length : null;
+}
+
+// Самые частые термины поисковых запросов
+function topTerms(terms, limit = 10) {
+  return Array.from(terms.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+// Характеристики товара в виде "ключ=значение" для сравнения товаров и интересов пользователя
+function attributePairs(attributes) {
+  return Object.entries(attributes || {}).map(([key, value]) => `${key}=${value}`);
+}
+
+function countAll(counts, keys) {
+  for (const key of keys) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+}
+
+// Доля общих тегов и характеристик двух товаров (коэффициент Жаккара)
+function sharedAttributesSimilarity(product1, product2) {
+  const features1 = new Set([...product1.tags, ...attributePairs(product1.attributes)]);
+  const features2 = [...product2.tags, ...attributePairs(product2.attributes)];
+  const shared = features2.filter(feature => features1.has(feature)).length;
+  const total = features1.size + features2.length - shared;
+  return total > 0 ? shared / total : 0;
+}
+
+// Прирост схожести товаров, у которых совпадают все теги и характеристики
+const SHARED_ATTRIBUTES_WEIGHT = 0.5;
+// Вклад совпадения с родительской категорией уменьшается вдвое на каждый уровень
+const CATEGORY_MATCH_DECAY = 0.5;
 
 class ModelTrainingService {
   constructor() {
@@ -52,15 +112,7 @@ class ModelTrainingService {
       this.isTraining = true;
 
       // Публикация события начала обучения
-      const startEvent = {
-        type: EVENT_TYPES.MODEL_TRAINING_STARTED,
-        data: {
-          jobId,
-          config,
-          timestamp: new Date()
-        },
-        source: 'model-training'
-      };
+      const startEvent = EventFactory.createModelTrainingStarted(jobId, config);
 
       await eventBus.publish(startEvent);
 
@@ -82,10 +134,12 @@ class ModelTrainingService {
 
       // Этап 1: Сбор данных
       const trainingData = await this.collectTrainingData();
+      const searchTerms = await searchAnalytics.getTermFeatures({ days: 30 });
+      const categoryTree = await CategoryTree.load();
       console.log(`Collected ${trainingData.length} training samples`);
 
       // Этап 2: Предобработка данных
-      const processedData = await this.preprocessData(trainingData);
+      const processedData = await this.preprocessData(trainingData, searchTerms, categoryTree);
 
       // Этап 3: Обучение модели
       const model = await this.trainModel(processedData, config);
@@ -123,15 +177,7 @@ class ModelTrainingService {
       this.currentTrainingJob.error = error.message;
 
       // Публикация события об ошибке
-      const errorEvent = {
-        type: 'ModelTrainingFailed',
-        data: {
-          jobId,
-          error: error.message,
-          timestamp: new Date()
-        },
-        source: 'model-training'
-      };
+      const errorEvent = EventFactory.createModelTrainingFailed(jobId, error.message);
 
       await eventBus.publish(errorEvent);
 
@@ -146,9 +192,12 @@ class ModelTrainingService {
         ua.user_id,
         ua.product_id,
         ua.activity_type,
+        ua.activity_data,
         ua.timestamp,
         p.category,
         p.price,
+        p.attributes,
+        p.tags,
         -- Получение последующей активности для оценки качества
         LAG(ua.activity_type) OVER (
           PARTITION BY ua.user_id, ua.product_id
@@ -165,7 +214,9 @@ class ModelTrainingService {
   }
 
   // Предобработка данных
-  async preprocessData(data) {
+  // searchTerms - термины запросов пользователей и запросов, приведших к товарам (SearchAnalytics.getTermFeatures);
+  // categoryTree - дерево категорий: интерес к категории засчитывается и ее родителям
+  async preprocessData(data, searchTerms = { users: [], products: [] }, categoryTree = new CategoryTree()) {
     // Создание пользовательских векторов
     const userVectors = new Map();
     const productVectors = new Map();
@@ -177,8 +228,15 @@ class ModelTrainingService {
           views: new Set(),
           purchases: new Set(),
           cartAdds: new Set(),
+          cartRemovals: new Set(),
+          wishlist: new Set(),
+          recommendationClicks: new Set(),
+          ratings: new Map(),
           categories: new Map(),
+          tags: new Map(),
+          attributes: new Map(),
           avgPriceViewed: [],
+          searchTerms: new Map(),
           lastActivity: null
         });
       }
@@ -196,11 +254,24 @@ class ModelTrainingService {
         case 'add_to_cart':
           userVec.cartAdds.add(row.product_id);
           break;
+        case 'remove_from_cart':
+          userVec.cartRemovals.add(row.product_id);
+          break;
+        case 'add_to_wishlist':
+          userVec.wishlist.add(row.product_id);
+          break;
+        case 'recommendation_click':
+          userVec.recommendationClicks.add(row.product_id);
+          break;
+        case 'rate':
+          // Учитывается последняя оценка товара пользователем
+          userVec.ratings.set(row.product_id, getRating(row));
+          break;
       }
 
-      if (row.category) {
-        userVec.categories.set(row.category, (userVec.categories.get(row.category) || 0) + 1);
-      }
+      countAll(userVec.categories, categoryTree.path(row.category));
+      countAll(userVec.tags, row.tags || []);
+      countAll(userVec.attributes, attributePairs(row.attributes));
 
       userVec.lastActivity = row.timestamp;
 
@@ -208,10 +279,18 @@ class ModelTrainingService {
       if (!productVectors.has(row.product_id)) {
         productVectors.set(row.product_id, {
           category: row.category,
+          categoryPath: categoryTree.path(row.category),
+          attributes: row.attributes || {},
+          tags: row.tags || [],
           price: parseFloat(row.price),
           totalViews: 0,
           totalPurchases: 0,
           totalCartAdds: 0,
+          totalCartRemovals: 0,
+          totalWishlistAdds: 0,
+          totalRecommendationClicks: 0,
+          ratings: [],
+          searchTerms: new Map(),
           uniqueUsers: new Set()
         });
       }
@@ -229,6 +308,30 @@ class ModelTrainingService {
         case 'add_to_cart':
           productVec.totalCartAdds++;
           break;
+        case 'remove_from_cart':
+          productVec.totalCartRemovals++;
+          break;
+        case 'add_to_wishlist':
+          productVec.totalWishlistAdds++;
+          break;
+        case 'recommendation_click':
+          productVec.totalRecommendationClicks++;
+          break;
+        case 'rate':
+          productVec.ratings.push(getRating(row));
+          break;
+      }
+    }
+
+    // Поисковые признаки учитываются для пользователей и товаров с активностями
+    for (const { userId, term, count } of searchTerms.users) {
+      if (userVectors.has(userId)) {
+        userVectors.get(userId).searchTerms.set(term, count);
+      }
+    }
+    for (const { productId, term, count } of searchTerms.products) {
+      if (productVectors.has(productId)) {
+        productVectors.get(productId).searchTerms.set(term, count);
       }
     }
 
@@ -250,24 +353,21 @@ class ModelTrainingService {
       userVectors: new Map(),
       productVectors: new Map(),
       similarityMatrix: new Map(),
-      weights: config.weights || {
-        view: 1.0,
-        add_to_cart: 2.5,
-        purchase: 5.0
-      },
+      // config.weights переопределяет отдельные значения весов по умолчанию
+      weights: { ...DEFAULT_ACTIVITY_WEIGHTS, ...config.weights },
       timeDecay: config.timeDecay || 0.9,
       trainedAt: new Date()
     };
 
     // Создание пользовательских профилей
     for (const [userId, userData] of userVectors) {
-      const profile = this.createUserProfile(userData, config);
+      const profile = this.createUserProfile(userData, model.weights);
       model.userVectors.set(userId, profile);
     }
 
     // Создание товарных профилей
     for (const [productId, productData] of productVectors) {
-      const profile = this.createProductProfile(productData);
+      const profile = this.createProductProfile(productData, model.weights);
       model.productVectors.set(productId, profile);
     }
 
@@ -277,40 +377,69 @@ class ModelTrainingService {
     return model;
   }
 
-  createUserProfile(userData, config) {
+  createUserProfile(userData, weights) {
     const avgPrice = userData.avgPriceViewed.length > 0
       ? userData.avgPriceViewed.reduce((a, b) => a + b) / userData.avgPriceViewed.length
       : 0;
+    const ratings = Array.from(userData.ratings.values());
 
     return {
       viewCount: userData.views.size,
       purchaseCount: userData.purchases.size,
       cartAddCount: userData.cartAdds.size,
+      cartRemovalCount: userData.cartRemovals.size,
+      wishlistCount: userData.wishlist.size,
+      recommendationClickCount: userData.recommendationClicks.size,
+      ratingCount: ratings.length,
+      avgRating: average(ratings),
       preferredCategories: Array.from(userData.categories.entries())
         .sort((a, b) => b[1] - a[1])
         .slice(0, 5)
         .map(([cat]) => cat),
+      preferredTags: topTerms(userData.tags).map(({ term }) => term),
+      preferredAttributes: topTerms(userData.attributes).map(({ term }) => term),
       avgPriceRange: avgPrice,
+      searchTerms: topTerms(userData.searchTerms),
       lastActivity: userData.lastActivity,
-      engagementScore: userData.purchases.size * 5 + userData.cartAdds.size * 2 + userData.views.size
+      engagementScore: userData.purchases.size * weights.purchase +
+        userData.cartAdds.size * weights.add_to_cart +
+        userData.views.size * weights.view +
+        userData.cartRemovals.size * weights.remove_from_cart +
+        userData.wishlist.size * weights.add_to_wishlist +
+        userData.recommendationClicks.size * weights.recommendation_click +
+        ratings.reduce((sum, rating) => sum + ratingScore(rating, weights), 0)
     };
   }
 
-  createProductProfile(productData) {
+  createProductProfile(productData, weights) {
     return {
       category: productData.category,
+      categoryPath: productData.categoryPath,
+      attributes: productData.attributes,
+      tags: productData.tags,
       price: productData.price,
-      popularityScore: productData.totalViews * 1 + productData.totalCartAdds * 2 + productData.totalPurchases * 5,
+      popularityScore: productData.totalViews * weights.view +
+        productData.totalCartAdds * weights.add_to_cart +
+        productData.totalPurchases * weights.purchase +
+        productData.totalCartRemovals * weights.remove_from_cart +
+        productData.totalWishlistAdds * weights.add_to_wishlist +
+        productData.totalRecommendationClicks * weights.recommendation_click +
+        productData.ratings.reduce((sum, rating) => sum + ratingScore(rating, weights), 0),
       conversionRate: productData.totalViews > 0
         ? productData.totalPurchases / productData.totalViews
         : 0,
+      avgRating: average(productData.ratings),
+      ratingCount: productData.ratings.length,
+      recommendationClicks: productData.totalRecommendationClicks,
+      searchTerms: topTerms(productData.searchTerms),
       uniqueUsers: productData.uniqueUsers.size
     };
   }
 
+  // Совместные взаимодействия пользователей, усиленные общими тегами и характеристиками товаров
   calculateSimilarityMatrix(processedData) {
     const similarity = new Map();
-    const { interactions } = processedData;
+    const { interactions, productVectors } = processedData;
 
     // Группировка взаимодействий по парам товаров
     const coOccurrences = new Map();
@@ -332,7 +461,13 @@ class ModelTrainingService {
     for (const [pair, count] of coOccurrences) {
       if (count > 2) { // Минимальный порог схожести
         const [product1, product2] = pair.split('-');
-        similarity.set(`${product1}-${product2}`, count / Math.max(coOccurrences.size, 1));
+        const shared = productVectors.has(product1) && productVectors.has(product2)
+          ? sharedAttributesSimilarity(productVectors.get(product1), productVectors.get(product2))
+          : 0;
+        similarity.set(
+          `${product1}-${product2}`,
+          count / Math.max(coOccurrences.size, 1) * (1 + SHARED_ATTRIBUTES_WEIGHT * shared)
+        );
       }
     }
 
@@ -390,7 +525,7 @@ class ModelTrainingService {
 
     for (const [productId, productProfile] of model.productVectors) {
       // Пропускаем товары с которыми уже взаимодействовал
-      if (userProfile.viewCount > 0 && userProfile.preferredCategories.includes(productProfile.category)) {
+      if (userProfile.viewCount > 0 && this.categoryMatchLevel(userProfile, productProfile) !== -1) {
         const score = this.calculateRecommendationScore(userProfile, productProfile, model);
         recommendations.push({ productId, score });
       }
@@ -401,12 +536,26 @@ class ModelTrainingService {
       .slice(0, limit);
   }
 
+  // Уровень ближайшей к товару категории из предпочтений пользователя: 0 - категория товара,
+  // 1 - ее родитель и т.д.; -1, если совпадений нет
+  categoryMatchLevel(userProfile, productProfile) {
+    return productProfile.categoryPath.findIndex(category => userProfile.preferredCategories.includes(category));
+  }
+
   calculateRecommendationScore(userProfile, productProfile, model) {
     let score = 0;
 
-    // Схожесть по категориям
-    if (userProfile.preferredCategories.includes(productProfile.category)) {
-      score += 0.3;
+    // Схожесть по категориям с учетом дерева категорий
+    const level = this.categoryMatchLevel(userProfile, productProfile);
+    if (level !== -1) {
+      score += 0.3 * Math.pow(CATEGORY_MATCH_DECAY, level);
+    }
+
+    // Общие теги и характеристики с товарами, которыми интересовался пользователь
+    const features = [...productProfile.tags, ...attributePairs(productProfile.attributes)];
+    if (features.length > 0) {
+      const preferred = new Set([...userProfile.preferredTags, ...userProfile.preferredAttributes]);
+      score += 0.2 * features.filter(feature => preferred.has(feature)).length / features.length;
     }
 
     // Учет ценового диапазона
@@ -458,17 +607,12 @@ class ModelTrainingService {
   async deployModel(modelVersion) {
     try {
       // Отправка новой модели в Recommendation Engine
-      const axios = require('axios');
       const RECOMMENDATION_ENGINE_URL = process.env.RECOMMENDATION_ENGINE_URL || 'http://localhost:3002';
 
       const modelData = {
         version: modelVersion.version,
         type: 'collaborative_filtering',
-        weights: this.currentTrainingJob?.config?.weights || {
-          view: 1.0,
-          add_to_cart: 2.5,
-          purchase: 5.0
-        },
+        weights: { ...DEFAULT_ACTIVITY_WEIGHTS, ...this.currentTrainingJob?.config?.weights },
         timeDecay: this.currentTrainingJob?.config?.timeDecay || 0.9,
         minInteractions: 3
       };
@@ -532,6 +676,18 @@ class ModelTrainingService {
       return { success: false, error: error.message };
     }
   }
+
+  // Право на забвение: профили пользователя удаляются из обученных моделей в памяти
+  handleUserDataErasedEvent(event) {
+    const { userId, aliasIds = [] } = event.data;
+
+    for (const { model } of this.modelVersions.values()) {
+      for (const id of [userId, ...aliasIds]) {
+        model.userVectors.delete(id);
+      }
+    }
+    console.log(`User data purged from trained models: ${userId}`);
+  }
 }
 
 const modelTrainingService = new ModelTrainingService();
@@ -553,6 +709,9 @@ app.get('/models', async (req, res) => {
   res.json(result);
 });
 
+// Контракты событий
+app.use('/events', createEventRoutes({ eventBus }));
+
 app.get('/health', (req, res) => {
   const status = modelTrainingService.getTrainingStatus();
   res.json({
@@ -567,12 +726,15 @@ async function start() {
   try {
     await eventBus.connect();
 
+    // Модели хранятся в памяти каждого экземпляра сервиса
+    await eventBus.subscribe(EVENT_TYPES.USER_DATA_ERASED,
+      (event) => modelTrainingService.handleUserDataErasedEvent(event), { broadcast: true });
+
     // Запуск периодического обучения моделей
     setInterval(async () => {
       if (!modelTrainingService.isTraining && modelTrainingService.trainingQueue.length === 0) {
         console.log('Starting scheduled model training...');
         await modelTrainingService.startModelTraining({
-          weights: { view: 1.0, add_to_cart: 2.5, purchase: 5.0 },
           timeDecay: 0.9
         });
       }
@@ -588,11 +750,8 @@ async function start() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Shutting down Model Training Service...');
+onShutdown('Model Training Service', async () => {
   await eventBus.disconnect();
-  await pool.end();
-  process.exit(0);
 });
 
 start();
\ No newline at end of file
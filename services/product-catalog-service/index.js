@@ -0,0 +1,783 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const _ = require('lodash');
+require('dotenv').config();
+
+const EventBus = require('../../shared/eventBus');
+const { correlationMiddleware } = require('../../shared/correlation');
+const EventStore = require('../../shared/eventStore');
+const { createEventRoutes } = require('../../shared/eventRoutes');
+const { OutboxRelay } = require('../../shared/outbox');
+const { EventFactory } = require('../../shared/events');
+const {
+  PRODUCT_STATUSES,
+  PRODUCT_FIELDS,
+  validateProduct,
+  validateCategory,
+  normalizeTags,
+  validateInventory,
+  availabilityForStock
+} = require('../../shared/productSchemas');
+const { CategoryTree } = require('../../shared/categoryTree');
+const { onShutdown } = require('../../shared/shutdown');
+const { pool } = require('../../config/database');
+
+const app = express();
+const PORT = process.env.PRODUCT_CATALOG_SERVICE_PORT || 3005;
+
+app.use(helmet());
+app.use(cors());
+app.use(express.json({ limit: '5mb' }));
+app.use(correlationMiddleware());
+
+const SERVICE_NAME = 'product-catalog-service';
+const eventStore = new EventStore({ serviceName: SERVICE_NAME });
+const eventBus = new EventBus({ serviceName: SERVICE_NAME, eventStore });
+const outboxRelay = new OutboxRelay({ eventBus });
+
+const BULK_MAX_SIZE = parseInt(process.env.CATALOG_BULK_MAX_SIZE) || 1000;
+
+function formatProduct(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    price: row.price === null ? null : parseFloat(row.price),
+    description: row.description,
+    attributes: row.attributes,
+    tags: row.tags,
+    stock: row.stock_quantity,
+    availability: row.availability,
+    status: row.status,
+    retiredAt: row.retired_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatCategory(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Значения полей в том виде, в котором они хранятся
+function normalizeProduct(data) {
+  return Array.isArray(data.tags) ? { ...data, tags: normalizeTags(data.tags) } : data;
+}
+
+// Поля, значения которых отличаются от текущих; отсутствующие в запросе поля не меняются
+function changedFields(product, changes) {
+  return PRODUCT_FIELDS.filter(field => changes[field] !== undefined && !_.isEqual(changes[field], product[field]));
+}
+
+class ProductCatalogService {
+  // category включает подкатегории; attributes - точное совпадение значений, сравниваемых как строки
+  async listProducts({ status = PRODUCT_STATUSES.ACTIVE, category, tag, attributes, limit = 50, offset = 0 } = {}) {
+    try {
+      const categories = category ? (await CategoryTree.load()).subtree(category) : null;
+
+      const result = await pool.query(`
+        SELECT * FROM products p
+        WHERE ($1::varchar = 'all' OR p.status = $1)
+          AND ($2::varchar[] IS NULL OR p.category = ANY($2))
+          AND ($3::text IS NULL OR $3 = ANY(p.tags))
+          AND ($4::jsonb IS NULL OR NOT EXISTS (
+            SELECT 1 FROM jsonb_each_text($4::jsonb) f
+            WHERE p.attributes->>f.key IS DISTINCT FROM f.value
+          ))
+        ORDER BY p.id
+        LIMIT $5 OFFSET $6
+      `, [
+        status,
+        categories,
+        tag ? normalizeTags([tag])[0] : null,
+        attributes ? JSON.stringify(attributes) : null,
+        limit,
+        offset
+      ]);
+
+      return { success: true, products: result.rows.map(formatProduct) };
+    } catch (error) {
+      console.error('Error listing products:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getProduct(id) {
+    try {
+      const result = await pool.query('SELECT * FROM products WHERE id = $1', [id]);
+      if (result.rows.length === 0) {
+        return { success: false, error: `Product not found: ${id}` };
+      }
+      return { success: true, product: formatProduct(result.rows[0]) };
+    } catch (error) {
+      console.error('Error getting product:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Изменения каталога и события о них сохраняются в одной транзакции (transactional outbox)
+  async inTransaction(work) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      outboxRelay.relayPending();
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertProduct(client, data) {
+    const result = await client.query(`
+      INSERT INTO products (id, name, category, price, description, attributes, tags)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      data.id,
+      data.name,
+      data.category || null,
+      data.price === undefined ? null : data.price,
+      data.description || null,
+      JSON.stringify(data.attributes || {}),
+      data.tags || []
+    ]);
+
+    const product = formatProduct(result.rows[0]);
+    await outboxRelay.enqueue(client, EventFactory.createProductCreated(product));
+    return product;
+  }
+
+  // Возвращает null, если значения полей не изменились
+  async applyChanges(client, product, data) {
+    const changes = changedFields(product, data);
+    if (changes.length === 0) return null;
+
+    const params = [product.id];
+    const assignments = changes.map(field => {
+      params.push(field === 'attributes' ? JSON.stringify(data[field]) : data[field]);
+      return `${field} = $${params.length}`;
+    });
+
+    const result = await client.query(`
+      UPDATE products
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, params);
+
+    const updated = formatProduct(result.rows[0]);
+    await outboxRelay.enqueue(client, EventFactory.createProductUpdated(updated, changes));
+    return updated;
+  }
+
+  async createProduct(data) {
+    try {
+      const product = await this.inTransaction(async (client) => {
+        const existing = await client.query('SELECT id FROM products WHERE id = $1', [data.id]);
+        if (existing.rows.length > 0) return null;
+        return this.insertProduct(client, normalizeProduct(data));
+      });
+
+      if (!product) {
+        return { success: false, error: `Product already exists: ${data.id}` };
+      }
+
+      console.log(`Product created: ${product.id}`);
+      return { success: true, product };
+    } catch (error) {
+      console.error('Error creating product:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateProduct(id, data) {
+    try {
+      const result = await this.inTransaction(async (client) => {
+        const existing = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+        if (existing.rows.length === 0) return null;
+
+        const product = formatProduct(existing.rows[0]);
+        const updated = await this.applyChanges(client, product, normalizeProduct(data));
+        return { product: updated || product, changed: Boolean(updated) };
+      });
+
+      if (!result) {
+        return { success: false, error: `Product not found: ${id}` };
+      }
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error updating product:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Пакетная загрузка: новые товары создаются, существующие обновляются переданными полями.
+  // Каждый товар проверяется отдельно, валидные записываются в одной транзакции
+  async upsertProducts(products) {
+    const results = new Array(products.length);
+    const accepted = [];
+
+    products.forEach((data, index) => {
+      const errors = validateProduct(data, 'create');
+      if (errors.length > 0) {
+        results[index] = { index, success: false, error: 'Invalid product', details: errors };
+      } else {
+        accepted.push({ index, data: normalizeProduct(data) });
+      }
+    });
+
+    const counts = { created: 0, updated: 0, unchanged: 0 };
+
+    if (accepted.length > 0) {
+      try {
+        await this.inTransaction(async (client) => {
+          const existing = await client.query(
+            'SELECT * FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+            [accepted.map(item => item.data.id)]
+          );
+          const current = new Map(existing.rows.map(row => [row.id, formatProduct(row)]));
+
+          for (const { index, data } of accepted) {
+            let action;
+            if (!current.has(data.id)) {
+              current.set(data.id, await this.insertProduct(client, data));
+              action = 'created';
+            } else {
+              const updated = await this.applyChanges(client, current.get(data.id), data);
+              if (updated) current.set(data.id, updated);
+              action = updated ? 'updated' : 'unchanged';
+            }
+
+            counts[action]++;
+            results[index] = { index, success: true, productId: data.id, action };
+          }
+        });
+      } catch (error) {
+        console.error('Error upserting products:', error);
+        return { success: false, error: error.message };
+      }
+    }
+
+    const rejected = results.filter(result => !result.success).length;
+    console.log(`Products upserted: ${counts.created} created, ${counts.updated} updated, ${rejected} rejected`);
+    return { success: true, ...counts, rejected, results };
+  }
+
+  // Мягкое удаление: товар остается для истории активностей, но больше не рекомендуется
+  async retireProduct(id, { reason } = {}) {
+    try {
+      const product = await this.inTransaction(async (client) => {
+        const result = await client.query(`
+          UPDATE products
+          SET status = $2, retired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = $3
+          RETURNING *
+        `, [id, PRODUCT_STATUSES.RETIRED, PRODUCT_STATUSES.ACTIVE]);
+
+        if (result.rows.length === 0) return null;
+
+        await outboxRelay.enqueue(client, EventFactory.createProductRetired(id, reason));
+        return formatProduct(result.rows[0]);
+      });
+
+      if (!product) {
+        return { success: false, error: `Active product not found: ${id}` };
+      }
+
+      console.log(`Product retired: ${id}`);
+      return { success: true, product };
+    } catch (error) {
+      console.error('Error retiring product:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Запись остатка и наличия с публикацией InventoryChanged; null, если ничего не изменилось.
+  // Без явного availability наличие определяется по новому остатку
+  async applyInventory(client, product, { stock, availability, reason }) {
+    const next = { stock: stock === undefined ? product.stock : stock };
+    next.availability = availability ||
+      (stock === undefined ? product.availability : availabilityForStock(next.stock));
+
+    if (next.stock === product.stock && next.availability === product.availability) return null;
+
+    const result = await client.query(`
+      UPDATE products
+      SET stock_quantity = $2, availability = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [product.id, next.stock, next.availability]);
+
+    await outboxRelay.enqueue(client, EventFactory.createInventoryChanged(product.id, next, product, reason));
+    return formatProduct(result.rows[0]);
+  }
+
+  async setInventory(id, inventory) {
+    try {
+      const result = await this.inTransaction(async (client) => {
+        const existing = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+        if (existing.rows.length === 0) return null;
+
+        const product = formatProduct(existing.rows[0]);
+        const updated = await this.applyInventory(client, product, inventory);
+        return { product: updated || product, changed: Boolean(updated) };
+      });
+
+      if (!result) {
+        return { success: false, error: `Product not found: ${id}` };
+      }
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error setting inventory:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Поступление (delta > 0) или списание (delta < 0); остаток не может стать отрицательным
+  async adjustInventory(id, { delta, reason }) {
+    try {
+      return await this.inTransaction(async (client) => {
+        const existing = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [id]);
+        if (existing.rows.length === 0) {
+          return { success: false, error: `Product not found: ${id}` };
+        }
+
+        const product = formatProduct(existing.rows[0]);
+        if (product.stock === null) {
+          return { success: false, error: `Stock is not tracked for product ${id}` };
+        }
+        if (product.stock + delta < 0) {
+          return { success: false, error: `Insufficient stock for product ${id}: ${product.stock} available` };
+        }
+
+        const updated = await this.applyInventory(client, product, { stock: product.stock + delta, reason });
+        return { success: true, product: updated || product, changed: Boolean(updated) };
+      });
+    } catch (error) {
+      console.error('Error adjusting inventory:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Пакетная выгрузка остатков со склада; неизвестные товары отклоняются поэлементно
+  async setInventoryBulk(items) {
+    const results = new Array(items.length);
+    const accepted = [];
+
+    items.forEach((item, index) => {
+      const errors = validateInventory(item, 'bulk');
+      if (errors.length > 0) {
+        results[index] = { index, success: false, error: 'Invalid inventory', details: errors };
+      } else {
+        accepted.push({ index, item });
+      }
+    });
+
+    const counts = { updated: 0, unchanged: 0 };
+
+    if (accepted.length > 0) {
+      try {
+        await this.inTransaction(async (client) => {
+          const existing = await client.query(
+            'SELECT * FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+            [accepted.map(({ item }) => item.productId)]
+          );
+          const current = new Map(existing.rows.map(row => [row.id, formatProduct(row)]));
+
+          for (const { index, item } of accepted) {
+            if (!current.has(item.productId)) {
+              results[index] = { index, success: false, error: `Product not found: ${item.productId}` };
+              continue;
+            }
+
+            const updated = await this.applyInventory(client, current.get(item.productId), item);
+            if (updated) current.set(item.productId, updated);
+
+            const action = updated ? 'updated' : 'unchanged';
+            counts[action]++;
+            results[index] = { index, success: true, productId: item.productId, action };
+          }
+        });
+      } catch (error) {
+        console.error('Error updating inventory:', error);
+        return { success: false, error: error.message };
+      }
+    }
+
+    const rejected = results.filter(result => !result.success).length;
+    console.log(`Inventory updated: ${counts.updated} updated, ${counts.unchanged} unchanged, ${rejected} rejected`);
+    return { success: true, ...counts, rejected, results };
+  }
+
+  async getCategoryTree() {
+    try {
+      const tree = await CategoryTree.load();
+      return { success: true, categories: tree.toJSON() };
+    } catch (error) {
+      console.error('Error getting category tree:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Категория с путем от корня и прямыми подкатегориями
+  async getCategory(id) {
+    try {
+      const result = await pool.query('SELECT * FROM categories WHERE id = $1', [id]);
+      if (result.rows.length === 0) {
+        return { success: false, error: `Category not found: ${id}` };
+      }
+
+      const tree = await CategoryTree.load();
+      return {
+        success: true,
+        category: {
+          ...formatCategory(result.rows[0]),
+          path: tree.path(id).reverse(),
+          children: Array.from(tree.categories.values())
+            .filter(category => category.parentId === id)
+            .map(category => category.id)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting category:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Изменения дерева выполняются под блокировкой таблицы, чтобы параллельные переносы не образовали цикл
+  async inCategoryTransaction(work) {
+    return this.inTransaction(async (client) => {
+      await client.query('LOCK TABLE categories IN SHARE ROW EXCLUSIVE MODE');
+      return work(client, await CategoryTree.load(client));
+    });
+  }
+
+  async createCategory({ id, name, parentId }) {
+    try {
+      const result = await this.inCategoryTransaction(async (client, tree) => {
+        if (tree.has(id)) {
+          return { success: false, error: `Category already exists: ${id}` };
+        }
+        if (parentId && !tree.has(parentId)) {
+          return { success: false, error: `Parent category not found: ${parentId}` };
+        }
+
+        const inserted = await client.query(`
+          INSERT INTO categories (id, name, parent_id)
+          VALUES ($1, $2, $3)
+          RETURNING *
+        `, [id, name || id, parentId || null]);
+        return { success: true, category: formatCategory(inserted.rows[0]) };
+      });
+
+      if (result.success) {
+        console.log(`Category created: ${id}`);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error creating category:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateCategory(id, { name, parentId }) {
+    try {
+      return await this.inCategoryTransaction(async (client, tree) => {
+        if (!tree.has(id)) {
+          return { success: false, error: `Category not found: ${id}` };
+        }
+        if (parentId) {
+          if (!tree.has(parentId)) {
+            return { success: false, error: `Parent category not found: ${parentId}` };
+          }
+          if (tree.subtree(id).includes(parentId)) {
+            return { success: false, error: `Cannot move category ${id} under itself or its subcategory ${parentId}` };
+          }
+        }
+
+        const current = tree.categories.get(id);
+        const updated = await client.query(`
+          UPDATE categories
+          SET name = $2, parent_id = $3, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING *
+        `, [id, name || current.name, parentId === undefined ? current.parentId : parentId]);
+        return { success: true, category: formatCategory(updated.rows[0]) };
+      });
+    } catch (error) {
+      console.error('Error updating category:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Удаляется только пустая категория: без подкатегорий и товаров
+  async deleteCategory(id) {
+    try {
+      return await this.inCategoryTransaction(async (client, tree) => {
+        if (!tree.has(id)) {
+          return { success: false, error: `Category not found: ${id}` };
+        }
+        if (tree.subtree(id).length > 1) {
+          return { success: false, error: `Category ${id} has subcategories` };
+        }
+
+        const products = await client.query('SELECT COUNT(*) AS count FROM products WHERE category = $1', [id]);
+        if (parseInt(products.rows[0].count) > 0) {
+          return { success: false, error: `Category ${id} has ${products.rows[0].count} products` };
+        }
+
+        await client.query('DELETE FROM categories WHERE id = $1', [id]);
+        return { success: true, deleted: id };
+      });
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+const catalogService = new ProductCatalogService();
+
+// API Routes
+app.get('/products', async (req, res) => {
+  const { status, category, tag, attributes, limit = 50, offset = 0 } = req.query;
+
+  const result = await catalogService.listProducts({
+    status,
+    category,
+    tag,
+    // ?attributes[brand]=Sony&attributes[wireless]=true
+    attributes: attributes && typeof attributes === 'object' ? attributes : undefined,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+  res.json(result);
+});
+
+app.get('/products/:id', async (req, res) => {
+  const result = await catalogService.getProduct(req.params.id);
+  res.json(result);
+});
+
+app.post('/products', async (req, res) => {
+  const validationErrors = validateProduct(req.body, 'create');
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid product',
+      details: validationErrors
+    });
+  }
+
+  const result = await catalogService.createProduct(req.body);
+  res.json(result);
+});
+
+app.post('/products/bulk', async (req, res) => {
+  const { products } = req.body;
+
+  if (!Array.isArray(products) || products.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'products must be a non-empty array'
+    });
+  }
+
+  if (products.length > BULK_MAX_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `Bulk size exceeds limit of ${BULK_MAX_SIZE} products`
+    });
+  }
+
+  const result = await catalogService.upsertProducts(products);
+  res.json(result);
+});
+
+app.put('/products/:id', async (req, res) => {
+  const validationErrors = validateProduct(req.body, 'update');
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid product',
+      details: validationErrors
+    });
+  }
+
+  const result = await catalogService.updateProduct(req.params.id, req.body);
+  res.json(result);
+});
+
+app.delete('/products/:id', async (req, res) => {
+  const result = await catalogService.retireProduct(req.params.id, {
+    reason: (req.body && req.body.reason) || req.query.reason
+  });
+  res.json(result);
+});
+
+app.put('/products/:id/inventory', async (req, res) => {
+  const validationErrors = validateInventory(req.body, 'set');
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid inventory',
+      details: validationErrors
+    });
+  }
+
+  const result = await catalogService.setInventory(req.params.id, req.body);
+  res.json(result);
+});
+
+app.post('/products/:id/inventory/adjust', async (req, res) => {
+  const validationErrors = validateInventory(req.body, 'adjust');
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid inventory adjustment',
+      details: validationErrors
+    });
+  }
+
+  const result = await catalogService.adjustInventory(req.params.id, req.body);
+  res.json(result);
+});
+
+app.post('/inventory/bulk', async (req, res) => {
+  const { items } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'items must be a non-empty array'
+    });
+  }
+
+  if (items.length > BULK_MAX_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `Bulk size exceeds limit of ${BULK_MAX_SIZE} items`
+    });
+  }
+
+  const result = await catalogService.setInventoryBulk(items);
+  res.json(result);
+});
+
+app.get('/categories', async (req, res) => {
+  const result = await catalogService.getCategoryTree();
+  res.json(result);
+});
+
+app.get('/categories/:id', async (req, res) => {
+  const result = await catalogService.getCategory(req.params.id);
+  res.json(result);
+});
+
+app.post('/categories', async (req, res) => {
+  const validationErrors = validateCategory(req.body, 'create');
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid category',
+      details: validationErrors
+    });
+  }
+
+  const result = await catalogService.createCategory(req.body);
+  res.json(result);
+});
+
+app.put('/categories/:id', async (req, res) => {
+  const validationErrors = validateCategory(req.body, 'update');
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid category',
+      details: validationErrors
+    });
+  }
+
+  const result = await catalogService.updateCategory(req.params.id, req.body);
+  res.json(result);
+});
+
+app.delete('/categories/:id', async (req, res) => {
+  const result = await catalogService.deleteCategory(req.params.id);
+  res.json(result);
+});
+
+// Контракты и журнал событий
+app.use('/events', createEventRoutes({ eventBus }));
+
+app.get('/outbox/status', async (req, res) => {
+  const { limit = 50 } = req.query;
+
+  try {
+    const status = await outboxRelay.getStatus(parseInt(limit));
+    res.json({ success: true, outbox: status });
+  } catch (error) {
+    console.error('Error getting outbox status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/outbox/:id/requeue', async (req, res) => {
+  try {
+    const entry = await outboxRelay.requeue(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: `Parked outbox entry not found: ${req.params.id}` });
+    }
+
+    outboxRelay.relayPending();
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Error requeuing outbox entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'product-catalog-service',
+    timestamp: new Date().toISOString()
+  });
+});
+
+async function start() {
+  try {
+    await eventBus.connect();
+    outboxRelay.start();
+
+    app.listen(PORT, () => {
+      console.log(`Product Catalog Service running on port ${PORT}`);
+    });
+  } catch (error) {
+    console.error('Failed to start Product Catalog Service:', error);
+    process.exit(1);
+  }
+}
+
+// Graceful shutdown
+onShutdown('Product Catalog Service', async () => {
+  outboxRelay.stop();
+  await eventBus.disconnect();
+});
+
+start();
@@ -5,7 +5,17 @@ const axios = require('axios');
 require('dotenv').config();
 
 const EventBus = require('../../shared/eventBus');
-const { EventFactory, EVENT_TYPES } = require('../../shared/events');
+const { correlationMiddleware, attachCorrelationToAxios } = require('../../shared/correlation');
+const EventStore = require('../../shared/eventStore');
+const IdempotencyStore = require('../../shared/idempotencyStore');
+const { DeadLetterQueue } = require('../../shared/deadLetterQueue');
+const { createEventRoutes } = require('../../shared/eventRoutes');
+const { EventFactory, EVENT_TYPES, EVENT_PATTERNS } = require('../../shared/events');
+const { validateActivity } = require('../../shared/activitySchemas');
+const { FEEDBACK_ACTIONS, validateFeedback, excludeHiddenProductsSql } = require('../../shared/recommendationFeedback');
+const { PRODUCT_STATUSES, PRODUCT_AVAILABILITY } = require('../../shared/productSchemas');
+const { LocalCache } = require('../../shared/localCache');
+const { onShutdown } = require('../../shared/shutdown');
 const { pool } = require('../../config/database');
 
 const app = express();
@@ -13,9 +23,18 @@ const PORT = process.env.RECOMMENDATION_API_PORT || 3003;
 
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+app.use(correlationMiddleware());
+// req.ip - адрес клиента из X-Forwarded-For nginx; передается User Activity Service для лимитов
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
 
-const eventBus = new EventBus();
+attachCorrelationToAxios(axios);
+
+const SERVICE_NAME = 'recommendation-api';
+const deadLetterQueue = new DeadLetterQueue({ serviceName: SERVICE_NAME });
+const eventStore = new EventStore({ serviceName: SERVICE_NAME });
+const idempotencyStore = new IdempotencyStore();
+const eventBus = new EventBus({ serviceName: SERVICE_NAME, deadLetterQueue, eventStore, idempotencyStore });
 
 // Конфигурация адресов других сервисов
 const USER_ACTIVITY_SERVICE_URL = process.env.USER_ACTIVITY_SERVICE_URL || 'http://localhost:3001';
@@ -23,8 +42,10 @@ const RECOMMENDATION_ENGINE_URL = process.env.RECOMMENDATION_ENGINE_URL || 'http
 
 class RecommendationAPI {
   constructor() {
-    this.cache = new Map();
-    this.cacheTimeout = 5 * 60 * 1000; // 5 минут
+    this.cache = new LocalCache({
+      maxEntries: parseInt(process.env.RECOMMENDATION_CACHE_SIZE) || 10000,
+      ttlMs: 5 * 60 * 1000 // 5 минут
+    });
   }
 
   // Получение рекомендаций для пользователя
@@ -32,33 +53,33 @@ class RecommendationAPI {
     try {
       // Проверка кэша
       const cacheKey = `recommendations:${userId}:${limit}`;
-      if (!forceRefresh && this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.cacheTimeout) {
-          console.log(`Returning cached recommendations for user ${userId}`);
-          return cached.data;
-        }
+      const cached = forceRefresh ? undefined : this.cache.get(cacheKey);
+      if (cached) {
+        console.log(`Returning cached recommendations for user ${userId}`);
+        return cached;
       }
 
-      // Попытка получить существующие рекомендации из базы
-      let recommendations = await this.getStoredRecommendations(userId, limit);
+      // Сохраненных рекомендаций может не хватать до limit: товары выводятся из ассортимента,
+      // заканчиваются на складе или скрываются пользователем. Тогда рекомендации генерируются заново
+      let recommendations = forceRefresh
+        ? []
+        : await this.enrichRecommendations(await this.getStoredRecommendations(userId, limit));
+      let complete = recommendations.length >= limit;
 
-      if (!recommendations || recommendations.length === 0 || forceRefresh) {
-        // Генерация новых рекомендаций
-        const response = await axios.post(
-          `${RECOMMENDATION_ENGINE_URL}/recommendations/${userId}`,
-          { limit }
-        );
+      if (!complete) {
+        const generated = await this.generateRecommendations(userId, limit);
+        recommendations = await this.enrichRecommendations(generated);
 
-        if (response.data.success) {
-          recommendations = response.data.recommendations;
-        } else {
-          throw new Error(response.data.error || 'Failed to generate recommendations');
+        // Товар мог выбыть между генерацией и выдачей: повторный запрос с запасом
+        if (recommendations.length < limit && generated.length >= limit) {
+          recommendations = await this.enrichRecommendations(await this.generateRecommendations(userId, limit * 2));
         }
+
+        // Движок вернул меньше limit - других подходящих товаров нет, такой список тоже кэшируется
+        complete = recommendations.length >= limit || generated.length < limit;
       }
 
-      // Получение информации о товарах
-      const enrichedRecommendations = await this.enrichRecommendations(recommendations);
+      const enrichedRecommendations = recommendations.slice(0, limit);
 
       const result = {
         success: true,
@@ -68,11 +89,10 @@ class RecommendationAPI {
         fromCache: false
       };
 
-      // Кэширование результата
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+      // Кэширование результата; неполный список будет дополнен при следующем запросе
+      if (complete) {
+        this.cache.set(cacheKey, result);
+      }
 
       // Публикация события доставки рекомендаций
       const event = EventFactory.createRecommendationGenerated(
@@ -94,17 +114,31 @@ class RecommendationAPI {
     }
   }
 
+  async generateRecommendations(userId, limit) {
+    const response = await axios.post(
+      `${RECOMMENDATION_ENGINE_URL}/recommendations/${userId}`,
+      { limit }
+    );
+
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Failed to generate recommendations');
+    }
+    return response.data.recommendations;
+  }
+
   async getStoredRecommendations(userId, limit) {
     const query = `
-      SELECT r.*, p.name, p.category, p.price
+      SELECT r.*, p.name, p.category, p.price, p.attributes, p.tags, p.availability
       FROM recommendations r
       JOIN products p ON r.product_id = p.id
       WHERE r.user_id = $1
+        AND p.status = $3
+        AND ${excludeHiddenProductsSql('r.product_id', 1)}
       ORDER BY r.score DESC
       LIMIT $2
     `;
 
-    const result = await pool.query(query, [userId, limit]);
+    const result = await pool.query(query, [userId, limit, PRODUCT_STATUSES.ACTIVE]);
     return result.rows.map(row => ({
       productId: row.product_id,
       score: parseFloat(row.score),
@@ -114,7 +148,10 @@ class RecommendationAPI {
         id: row.product_id,
         name: row.name,
         category: row.category,
-        price: parseFloat(row.price)
+        price: parseFloat(row.price),
+        attributes: row.attributes,
+        tags: row.tags,
+        availability: row.availability
       }
     }));
   }
@@ -126,51 +163,185 @@ class RecommendationAPI {
 
     // Запрос информации о товарах
     const query = `
-      SELECT id, name, category, price
+      SELECT id, name, category, price, attributes, tags, availability, status
       FROM products
       WHERE id = ANY($1)
     `;
 
     const result = await pool.query(query, [productIds]);
-    const products = new Map(result.rows.map(p => [p.id, p]));
-
-    return recommendations.map(rec => ({
-      ...rec,
-      product: products.get(rec.productId) || {
-        id: rec.productId,
-        name: 'Unknown Product',
-        category: 'Unknown',
-        price: 0
-      }
-    }));
+    const products = new Map(result.rows.map(({ status, ...p }) => [p.id, p]));
+    const unavailable = new Set(result.rows
+      .filter(p => p.status === PRODUCT_STATUSES.RETIRED || p.availability === PRODUCT_AVAILABILITY.OUT_OF_STOCK)
+      .map(p => p.id));
+
+    // Выведенные из ассортимента и закончившиеся товары не выдаются, даже если рекомендация сгенерирована раньше
+    return recommendations
+      .filter(rec => !unavailable.has(rec.productId))
+      .map(rec => ({
+        ...rec,
+        product: products.get(rec.productId) || {
+          id: rec.productId,
+          name: 'Unknown Product',
+          category: 'Unknown',
+          price: 0,
+          attributes: {},
+          tags: [],
+          availability: PRODUCT_AVAILABILITY.IN_STOCK
+        }
+      }));
   }
 
   // Отслеживание действий пользователя
-  async trackActivity(userId, activityData) {
+  async trackActivity(userId, activityData, { clientIp } = {}) {
     try {
       const response = await axios.post(
         `${USER_ACTIVITY_SERVICE_URL}/track`,
         {
           userId,
           ...activityData
-        }
+        },
+        { headers: { 'X-Forwarded-For': clientIp } }
       );
 
-      // Инвалидация кэша рекомендаций для этого пользователя
-      this.invalidateUserCache(userId);
+      // Инвалидация кэша рекомендаций для этого пользователя и пользователя, на которого
+      // записана активность гостя после слияния; активность в карантине не записана
+      if (response.data.success && !response.data.quarantined) {
+        this.invalidateUserCache(userId);
+        if (response.data.userId && response.data.userId !== userId) {
+          this.invalidateUserCache(response.data.userId);
+        }
+      }
 
       return response.data;
     } catch (error) {
       console.error('Error tracking activity:', error);
-      return {
+      return error.response ? error.response.data : {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async trackActivities(activities, { clientIp } = {}) {
+    try {
+      const response = await axios.post(
+        `${USER_ACTIVITY_SERVICE_URL}/track/batch`,
+        { activities },
+        { headers: { 'X-Forwarded-For': clientIp } }
+      );
+
+      // Ошибка обработки пакета возвращается со статусом 200 и без results
+      if (!response.data.success) {
+        return response.data;
+      }
+
+      // Инвалидация кэша только для пользователей с принятыми активностями: и переданного id,
+      // и пользователя, на которого записана активность гостя после слияния
+      const userIds = new Set(
+        response.data.results
+          .filter(result => result.success && !result.quarantined)
+          .flatMap(result => [activities[result.index].userId, result.userId])
+          .filter(Boolean)
+      );
+      userIds.forEach(userId => this.invalidateUserCache(userId));
+
+      return response.data;
+    } catch (error) {
+      console.error('Error tracking activity batch:', error);
+      // Ошибка валидации пакета возвращается клиенту как есть
+      return error.response ? error.response.data : {
         success: false,
         error: error.message
       };
     }
   }
 
+  // Негативная обратная связь: товар или категория исключаются из рекомендаций пользователя
+  async submitFeedback({ userId, action, productId, category, reason }) {
+    try {
+      const user = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+      if (user.rows.length === 0) {
+        return { success: false, error: `User not found: ${userId}` };
+      }
+
+      if (productId) {
+        const product = await pool.query('SELECT category FROM products WHERE id = $1', [productId]);
+        if (product.rows.length === 0) {
+          return { success: false, error: `Product not found: ${productId}` };
+        }
+        category = category || product.rows[0].category;
+      }
+
+      // Для hide_category хранится только категория, для остальных действий - только товар
+      if (action === FEEDBACK_ACTIONS.HIDE_CATEGORY) {
+        if (!category) {
+          return { success: false, error: `Product ${productId} has no category` };
+        }
+        productId = null;
+      } else {
+        category = null;
+      }
+
+      const result = await pool.query(`
+        INSERT INTO recommendation_feedback (user_id, action, product_id, category, reason)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT DO NOTHING
+        RETURNING id, created_at
+      `, [userId, action, productId, category, reason || null]);
+
+      // Повторная обратная связь не меняет выдачу, событие не публикуется
+      const created = result.rows.length > 0;
+      if (created) {
+        this.invalidateUserCache(userId);
+
+        const event = EventFactory.createUserRejectedRecommendation(userId, action, {
+          productId: productId || undefined,
+          category: category || undefined,
+          reason
+        });
+        await eventBus.publish(event);
+      }
+
+      return {
+        success: true,
+        created,
+        feedback: { userId, action, productId, category, reason: reason || null }
+      };
+    } catch (error) {
+      console.error('Error saving recommendation feedback:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getFeedback(userId) {
+    try {
+      const result = await pool.query(`
+        SELECT id, action, product_id, category, reason, created_at
+        FROM recommendation_feedback
+        WHERE user_id = $1
+        ORDER BY created_at DESC
+      `, [userId]);
+
+      return {
+        success: true,
+        userId,
+        feedback: result.rows.map(row => ({
+          id: row.id,
+          action: row.action,
+          productId: row.product_id,
+          category: row.category,
+          reason: row.reason,
+          createdAt: row.created_at
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting recommendation feedback:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   invalidateUserCache(userId) {
-    for (const [key, value] of this.cache) {
+    for (const [key] of this.cache) {
       if (key.startsWith(`recommendations:${userId}:`)) {
         this.cache.delete(key);
       }
@@ -253,11 +424,46 @@ class RecommendationAPI {
     console.log(`Cache invalidated for user ${userId} due to new recommendations`);
   }
 
+  // Право на забвение: кэш рекомендаций пользователя и его алиасов очищается
+  handleUserDataErasedEvent(event) {
+    const { userId, aliasIds = [] } = event.data;
+
+    for (const id of [userId, ...aliasIds]) {
+      this.invalidateUserCache(id);
+    }
+    console.log(`User data purged from API cache: ${userId}`);
+  }
+
   handleUserActivityEvent(event) {
-    const { userId } = event.data;
+    const { userId, guestId } = event.data;
     // Инвалидация кэша при новой активности пользователя
     this.invalidateUserCache(userId);
     console.log(`Cache invalidated for user ${userId} due to new activity`);
+
+    // UserIdentityMerged: рекомендации гостя больше не действительны
+    if (guestId) {
+      this.invalidateUserCache(guestId);
+      console.log(`Cache invalidated for guest ${guestId} merged into ${userId}`);
+    }
+  }
+
+  // Изменение, вывод товара из ассортимента или изменение наличия: кэшированные выдачи с этим товаром устаревают.
+  // Изменение остатка без смены наличия на выдачу не влияет
+  handleProductCatalogEvent(event) {
+    const { productId, availability, previousAvailability } = event.data;
+    if (event.type === EVENT_TYPES.INVENTORY_CHANGED && availability === previousAvailability) return;
+
+    let invalidated = 0;
+
+    for (const [key, value] of this.cache) {
+      if (value.recommendations.some(rec => rec.productId === productId)) {
+        this.cache.delete(key);
+        invalidated++;
+      }
+    }
+    if (invalidated > 0) {
+      console.log(`Cache invalidated for ${invalidated} entries due to ${event.type} of product ${productId}`);
+    }
   }
 }
 
@@ -278,21 +484,59 @@ app.get('/recommendations/:userId', async (req, res) => {
 });
 
 app.post('/track', async (req, res) => {
-  const { userId, activityType, productId, metadata = {} } = req.body;
+  const { userId, activityType, productId, sessionId, metadata = {} } = req.body;
 
-  if (!userId || !activityType) {
+  const validationErrors = validateActivity(req.body);
+  if (validationErrors.length > 0) {
     return res.status(400).json({
       success: false,
-      error: 'userId and activityType are required'
+      error: 'Invalid activity',
+      details: validationErrors
     });
   }
 
   const result = await recommendationAPI.trackActivity(userId, {
     activityType,
     productId,
+    sessionId,
     metadata
-  });
+  }, { clientIp: req.ip });
+
+  // retryAfter - превышен лимит частоты записи
+  res.status(result.retryAfter ? 429 : result.details ? 400 : 200).json(result);
+});
+
+app.post('/track/batch', async (req, res) => {
+  const { activities } = req.body;
+
+  if (!Array.isArray(activities) || activities.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'activities must be a non-empty array'
+    });
+  }
 
+  const result = await recommendationAPI.trackActivities(activities, { clientIp: req.ip });
+  res.status(result.retryAfter ? 429 : 200).json(result);
+});
+
+// Обратная связь по рекомендациям: dismiss, not_interested, hide_category
+app.post('/feedback', async (req, res) => {
+  const validationErrors = validateFeedback(req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid feedback',
+      details: validationErrors
+    });
+  }
+
+  const result = await recommendationAPI.submitFeedback(req.body);
+  res.json(result);
+});
+
+app.get('/feedback/:userId', async (req, res) => {
+  const result = await recommendationAPI.getFeedback(req.params.userId);
   res.json(result);
 });
 
@@ -318,13 +562,16 @@ app.post('/recommendations/:userId/refresh', async (req, res) => {
 
   const result = await recommendationAPI.getRecommendations(
     userId,
-    limit,
+    parseInt(limit),
     true // force refresh
   );
 
   res.json(result);
 });
 
+// Управление событиями, не обработанными после всех повторов
+app.use('/events', createEventRoutes({ eventBus, deadLetterQueue }));
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
@@ -347,15 +594,18 @@ async function start() {
   try {
     await eventBus.connect();
 
-    // Подписка на события
+    // Подписка на события; все обработчики сбрасывают кэш в памяти, поэтому события
+    // доставляются каждому экземпляру сервиса
     await eventBus.subscribe(EVENT_TYPES.RECOMMENDATION_GENERATED,
-      (event) => recommendationAPI.handleRecommendationGeneratedEvent(event));
-    await eventBus.subscribe(EVENT_TYPES.USER_VIEWED_PRODUCT,
-      (event) => recommendationAPI.handleUserActivityEvent(event));
-    await eventBus.subscribe(EVENT_TYPES.USER_ADDED_TO_CART,
-      (event) => recommendationAPI.handleUserActivityEvent(event));
-    await eventBus.subscribe(EVENT_TYPES.USER_PURCHASED_PRODUCT,
-      (event) => recommendationAPI.handleUserActivityEvent(event));
+      (event) => recommendationAPI.handleRecommendationGeneratedEvent(event), { broadcast: true });
+    await eventBus.subscribe(EVENT_PATTERNS.USER_ACTIVITY,
+      (event) => recommendationAPI.handleUserActivityEvent(event), { name: 'user-activity', broadcast: true });
+    await eventBus.subscribe(EVENT_TYPES.USER_DATA_ERASED,
+      (event) => recommendationAPI.handleUserDataErasedEvent(event), { broadcast: true });
+    await eventBus.subscribe(EVENT_PATTERNS.PRODUCT_CATALOG,
+      (event) => recommendationAPI.handleProductCatalogEvent(event), { name: 'product-catalog', broadcast: true });
+    await eventBus.subscribe(EVENT_TYPES.INVENTORY_CHANGED,
+      (event) => recommendationAPI.handleProductCatalogEvent(event), { name: 'inventory', broadcast: true });
 
     app.listen(PORT, () => {
       console.log(`Recommendation API running on port ${PORT}`);
@@ -367,11 +617,8 @@ async function start() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Shutting down Recommendation API...');
+onShutdown('Recommendation API', async () => {
   await eventBus.disconnect();
-  await pool.end();
-  process.exit(0);
 });
 
 start();
\ No newline at end of file
@@ -6,7 +6,19 @@ const moment = require('moment');
 require('dotenv').config();
 
 const EventBus = require('../../shared/eventBus');
-const { EventFactory, EVENT_TYPES } = require('../../shared/events');
+const { correlationMiddleware } = require('../../shared/correlation');
+const EventStore = require('../../shared/eventStore');
+const IdempotencyStore = require('../../shared/idempotencyStore');
+const { DeadLetterQueue } = require('../../shared/deadLetterQueue');
+const { createEventRoutes } = require('../../shared/eventRoutes');
+const { EventFactory, EVENT_TYPES, EVENT_PATTERNS } = require('../../shared/events');
+const { excludeHiddenProductsSql } = require('../../shared/recommendationFeedback');
+const { DEFAULT_ACTIVITY_WEIGHTS } = require('../../shared/activitySchemas');
+const { PRODUCT_AVAILABILITY, excludeUnavailableProductsSql } = require('../../shared/productSchemas');
+const { CategoryTreeCache } = require('../../shared/categoryTree');
+const { UserProfileProjection, PROFILE_EVENT_TYPES } = require('../../shared/userProfiles');
+const { LocalCache } = require('../../shared/localCache');
+const { onShutdown } = require('../../shared/shutdown');
 const { pool } = require('../../config/database');
 
 const app = express();
@@ -15,14 +27,44 @@ const PORT = process.env.RECOMMENDATION_ENGINE_PORT || 3002;
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
-
-const eventBus = new EventBus();
+app.use(correlationMiddleware());
+
+const SERVICE_NAME = 'recommendation-engine';
+const deadLetterQueue = new DeadLetterQueue({ serviceName: SERVICE_NAME });
+const eventStore = new EventStore({ serviceName: SERVICE_NAME });
+const idempotencyStore = new IdempotencyStore();
+const eventBus = new EventBus({ serviceName: SERVICE_NAME, deadLetterQueue, eventStore, idempotencyStore });
+const categoryTree = new CategoryTreeCache();
+const userProfileProjection = new UserProfileProjection({ categoryTree });
+const USER_PROFILES_SUBSCRIBER = 'user-profiles';
+
+// Максимальный прирост оценки товара из категории, которой отдано все внимание пользователя
+const CATEGORY_AFFINITY_BOOST = 0.5;
+// Интерес к родительской категории учитывается с затуханием на каждый уровень вверх
+const CATEGORY_AFFINITY_DECAY = 0.5;
+// Множитель оценки товара, которого осталось мало на складе
+const LOW_STOCK_SCORE_FACTOR = parseFloat(process.env.LOW_STOCK_SCORE_FACTOR) || 0.7;
+// Больше рекомендаций за один запрос не генерируется
+const MAX_RECOMMENDATIONS_LIMIT = 100;
+
+// Вклад активности в оценку товара по весам текущей модели ($1 - веса в JSON).
+// Оценка 1-5 смещается относительно нейтральной 3: низкие оценки уменьшают score
+const ACTIVITY_SCORE_SQL = `
+  CASE WHEN activity_type = 'rate'
+       THEN COALESCE(($1::jsonb->>'rate')::decimal, 0) * ((activity_data->>'rating')::decimal - 3) / 2
+       ELSE COALESCE(($1::jsonb->>activity_type)::decimal, 0) END
+`;
 
 class RecommendationEngine {
   constructor() {
     this.currentModel = null;
     this.modelVersion = 'v1.0';
-    this.userProfiles = new Map();
+    // Проекцию обновляет один экземпляр сервиса, а сброс кэша приходит каждому (broadcast),
+    // поэтому профиль, прочитанный до обновления проекции, устаревает не дольше TTL
+    this.userProfiles = new LocalCache({
+      maxEntries: parseInt(process.env.USER_PROFILE_CACHE_SIZE) || 10000,
+      ttlMs: parseInt(process.env.USER_PROFILE_CACHE_TTL_MS) || 60000
+    });
     this.productVectors = new Map();
   }
 
@@ -31,12 +73,7 @@ class RecommendationEngine {
     this.currentModel = {
       version: this.modelVersion,
       type: 'collaborative_filtering',
-      weights: {
-        view: 1.0,
-        add_to_cart: 2.0,
-        purchase: 5.0,
-        search: 0.5
-      },
+      weights: { ...DEFAULT_ACTIVITY_WEIGHTS },
       timeDecay: 0.9,
       minInteractions: 3
     };
@@ -102,19 +139,26 @@ class RecommendationEngine {
       const userBehavior = await this.getUserBehavior(userId);
       if (!userBehavior || userBehavior.length < this.currentModel.minInteractions) {
         // Для новых пользователей возвращаем популярные товары
-        return this.getPopularProducts(limit);
+        return this.applyAvailability(await this.getPopularProducts(userId, limit));
       }
 
       // Расчет схожести с другими пользователями (коллаборативная фильтрация)
       const similarUsers = await this.findSimilarUsers(userId, userBehavior);
 
       // Генерация рекомендаций на основе схожих пользователей
-      const recommendations = await this.generateCollaborativeRecommendations(
+      const candidates = await this.generateCollaborativeRecommendations(
         userId,
         similarUsers,
         limit
       );
 
+      // Товары предпочитаемых пользователем категорий поднимаются выше, товары с малым остатком - ниже
+      const profile = await this.getUserProfile(userId);
+      const ranked = await this.applyAvailability(await this.applyCategoryAffinity(candidates, profile));
+
+      // Список, в котором не хватило кандидатов, дополняется популярными товарами
+      const recommendations = await this.fillToLimit(userId, ranked, limit);
+
       // Сохранение рекомендаций в базу данных
       await this.saveRecommendations(userId, recommendations);
 
@@ -153,6 +197,87 @@ class RecommendationEngine {
     return result.rows;
   }
 
+  // Профиль из проекции user_profiles; кэш сбрасывается по событиям активности пользователя
+  async getUserProfile(userId) {
+    let profile = this.userProfiles.get(userId);
+    if (profile === undefined) {
+      profile = await userProfileProjection.getProfile(userId);
+      this.userProfiles.set(userId, profile);
+    }
+    return profile;
+  }
+
+  async applyCategoryAffinity(recommendations, profile) {
+    if (recommendations.length === 0 || profile.categoryAffinity.length === 0) {
+      return recommendations;
+    }
+
+    const shares = new Map(profile.categoryAffinity.map(a => [a.category, a.share]));
+    const result = await pool.query(
+      'SELECT id, category FROM products WHERE id = ANY($1)',
+      [recommendations.map(r => r.productId)]
+    );
+    const categories = new Map(result.rows.map(row => [row.id, row.category]));
+    const tree = await categoryTree.get();
+
+    // Телефон получает прирост и от интереса к смартфонам, и (слабее) к электронике в целом
+    const affinity = category => Math.max(0, ...tree.path(category).map((id, level) =>
+      (shares.get(id) || 0) * Math.pow(CATEGORY_AFFINITY_DECAY, level)
+    ));
+
+    return recommendations
+      .map(rec => ({
+        ...rec,
+        score: rec.score * (1 + CATEGORY_AFFINITY_BOOST * affinity(categories.get(rec.productId)))
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async applyAvailability(recommendations) {
+    if (recommendations.length === 0) return recommendations;
+
+    const result = await pool.query(
+      'SELECT id FROM products WHERE id = ANY($1) AND availability = $2',
+      [recommendations.map(r => r.productId), PRODUCT_AVAILABILITY.LOW_STOCK]
+    );
+    const lowStock = new Set(result.rows.map(row => row.id));
+
+    return recommendations
+      .map(rec => (lowStock.has(rec.productId) ? { ...rec, score: rec.score * LOW_STOCK_SCORE_FACTOR } : rec))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async fillToLimit(userId, recommendations, limit) {
+    if (recommendations.length >= limit) return recommendations;
+
+    const included = new Set(recommendations.map(r => r.productId));
+    const popular = await this.getPopularProducts(userId, limit + recommendations.length);
+    const fillers = popular.filter(rec => !included.has(rec.productId));
+
+    return [...recommendations, ...fillers.slice(0, limit - recommendations.length)];
+  }
+
+  // Пересборка проекции профилей из журнала событий. Отметки об обработке подписчика
+  // сбрасываются вместе с данными, поэтому события, пришедшие во время пересборки,
+  // применяются ровно один раз
+  async rebuildUserProfiles() {
+    try {
+      const subscription = eventBus.subscriptions.find(s => s.name === USER_PROFILES_SUBSCRIBER);
+      await userProfileProjection.reset({ consumer: eventBus.getConsumerKey(subscription) });
+      const replayed = await eventBus.replay(
+        { types: PROFILE_EVENT_TYPES },
+        { subscriber: USER_PROFILES_SUBSCRIBER }
+      );
+      this.userProfiles.clear();
+
+      console.log(`User profiles rebuilt from ${replayed} events`);
+      return { success: true, replayed };
+    } catch (error) {
+      console.error('Failed to rebuild user profiles:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async findSimilarUsers(userId, userBehavior, limit = 50) {
     // Упрощенный алгоритм поиска схожих пользователей
     const userProducts = new Set(userBehavior.map(a => a.product_id));
@@ -175,28 +300,35 @@ class RecommendationEngine {
 
   async generateCollaborativeRecommendations(userId, similarUsers, limit) {
     if (similarUsers.length === 0) {
-      return this.getPopularProducts(limit);
+      return this.getPopularProducts(userId, limit);
     }
 
     const similarUserIds = similarUsers.map(u => u.user_id);
 
     const query = `
       SELECT product_id, COUNT(*) as frequency,
-             AVG(CASE WHEN activity_type = 'purchase' THEN 5
-                     WHEN activity_type = 'add_to_cart' THEN 3
-                     WHEN activity_type = 'view' THEN 1 ELSE 0 END) as score
+             AVG(${ACTIVITY_SCORE_SQL}) as score
       FROM user_activities
-      WHERE user_id = ANY($1)
+      WHERE user_id = ANY($2)
+        AND product_id IS NOT NULL
         AND product_id NOT IN (
           SELECT product_id FROM user_activities
-          WHERE user_id = $2
+          WHERE user_id = $3 AND product_id IS NOT NULL
         )
+        AND ${excludeHiddenProductsSql('product_id', 3)}
+        AND ${excludeUnavailableProductsSql('product_id')}
       GROUP BY product_id
+      HAVING AVG(${ACTIVITY_SCORE_SQL}) > 0
       ORDER BY score DESC, frequency DESC
-      LIMIT $3
+      LIMIT $4
     `;
 
-    const result = await pool.query(query, [similarUserIds, userId, limit]);
+    const result = await pool.query(query, [
+      JSON.stringify(this.currentModel.weights),
+      similarUserIds,
+      userId,
+      limit
+    ]);
 
     return result.rows.map(row => ({
       productId: row.product_id,
@@ -206,20 +338,23 @@ class RecommendationEngine {
     }));
   }
 
-  async getPopularProducts(limit = 10) {
+  // Скрытые пользователем товары и категории, выведенные из ассортимента и отсутствующие на складе товары исключаются из выдачи
+  async getPopularProducts(userId, limit = 10) {
     const query = `
       SELECT product_id, COUNT(*) as interaction_count,
-             AVG(CASE WHEN activity_type = 'purchase' THEN 5
-                     WHEN activity_type = 'add_to_cart' THEN 3
-                     WHEN activity_type = 'view' THEN 1 ELSE 0 END) as score
+             AVG(${ACTIVITY_SCORE_SQL}) as score
       FROM user_activities
       WHERE timestamp > NOW() - INTERVAL '7 days'
+        AND product_id IS NOT NULL
+        AND ${excludeHiddenProductsSql('product_id', 3)}
+        AND ${excludeUnavailableProductsSql('product_id')}
       GROUP BY product_id
+      HAVING AVG(${ACTIVITY_SCORE_SQL}) > 0
       ORDER BY score DESC, interaction_count DESC
-      LIMIT $1
+      LIMIT $2
     `;
 
-    const result = await pool.query(query, [limit]);
+    const result = await pool.query(query, [JSON.stringify(this.currentModel.weights), limit, userId]);
 
     return result.rows.map(row => ({
       productId: row.product_id,
@@ -251,12 +386,33 @@ class RecommendationEngine {
 
   // Обработка событий от других сервисов
   async handleUserActivityEvent(event) {
-    const { userId } = event.data;
+    const { userId, guestId } = event.data;
+
+    // Обновление кэша профиля пользователя при необходимости;
+    // при слиянии идентичностей устаревают профили обоих id
+    for (const id of [userId, guestId]) {
+      if (id) {
+        this.userProfiles.delete(id);
+      }
+    }
+  }
+
+  // Право на забвение: профили пользователя и его алиасов удаляются из памяти
+  handleUserDataErasedEvent(event) {
+    const { userId, aliasIds = [] } = event.data;
 
-    // Обновление кэша профиля пользователя при необходимости
-    if (this.userProfiles.has(userId)) {
-      this.userProfiles.delete(userId);
+    for (const id of [userId, ...aliasIds]) {
+      this.userProfiles.delete(id);
     }
+    console.log(`User data purged from engine cache: ${userId}`);
+  }
+
+  // Сохраненные рекомендации выведенного из ассортимента товара больше не выдаются
+  async handleProductRetiredEvent(event) {
+    const { productId } = event.data;
+
+    const result = await pool.query('DELETE FROM recommendations WHERE product_id = $1', [productId]);
+    console.log(`Recommendations removed for retired product ${productId}: ${result.rowCount}`);
   }
 
   async handleModelUpdateEvent(event) {
@@ -270,9 +426,33 @@ const recommendationEngine = new RecommendationEngine();
 // API Routes
 app.post('/recommendations/:userId', async (req, res) => {
   const { userId } = req.params;
-  const { limit = 10 } = req.body;
+  const { limit: rawLimit = 10 } = req.body;
+  // limit может прийти строкой ("5"), поэтому приводится к числу до вычислений
+  const limit = parseInt(rawLimit);
+
+  if (!/^\d+$/.test(String(rawLimit).trim()) || limit < 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be a positive integer'
+    });
+  }
 
-  const result = await recommendationEngine.generateRecommendations(userId, limit);
+  const result = await recommendationEngine.generateRecommendations(userId, Math.min(limit, MAX_RECOMMENDATIONS_LIMIT));
+  res.json(result);
+});
+
+app.get('/profiles/:userId', async (req, res) => {
+  try {
+    const profile = await recommendationEngine.getUserProfile(req.params.userId);
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Error getting user profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/profiles/rebuild', async (req, res) => {
+  const result = await recommendationEngine.rebuildUserProfiles();
   res.json(result);
 });
 
@@ -288,6 +468,9 @@ app.get('/model/current', (req, res) => {
   });
 });
 
+// Управление событиями, не обработанными после всех повторов
+app.use('/events', createEventRoutes({ eventBus, deadLetterQueue }));
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
@@ -302,15 +485,17 @@ async function start() {
     await eventBus.connect();
     await recommendationEngine.initializeModel();
 
-    // Подписка на события
-    await eventBus.subscribe(EVENT_TYPES.USER_VIEWED_PRODUCT,
-      (event) => recommendationEngine.handleUserActivityEvent(event));
-    await eventBus.subscribe(EVENT_TYPES.USER_ADDED_TO_CART,
-      (event) => recommendationEngine.handleUserActivityEvent(event));
-    await eventBus.subscribe(EVENT_TYPES.USER_PURCHASED_PRODUCT,
-      (event) => recommendationEngine.handleUserActivityEvent(event));
+    // Подписка на события; кэш профилей в памяти сбрасывается на каждом экземпляре сервиса
+    await eventBus.subscribe(EVENT_PATTERNS.USER_ACTIVITY,
+      (event) => userProfileProjection.apply(event), { name: USER_PROFILES_SUBSCRIBER });
+    await eventBus.subscribe(EVENT_PATTERNS.USER_ACTIVITY,
+      (event) => recommendationEngine.handleUserActivityEvent(event), { name: 'user-activity', broadcast: true });
     await eventBus.subscribe(EVENT_TYPES.RECOMMENDATION_MODEL_UPDATED,
       (event) => recommendationEngine.handleModelUpdateEvent(event));
+    await eventBus.subscribe(EVENT_TYPES.USER_DATA_ERASED,
+      (event) => recommendationEngine.handleUserDataErasedEvent(event), { broadcast: true });
+    await eventBus.subscribe(EVENT_TYPES.PRODUCT_RETIRED,
+      (event) => recommendationEngine.handleProductRetiredEvent(event));
 
     app.listen(PORT, () => {
       console.log(`Recommendation Engine running on port ${PORT}`);
@@ -322,11 +507,8 @@ async function start() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Shutting down Recommendation Engine...');
+onShutdown('Recommendation Engine', async () => {
   await eventBus.disconnect();
-  await pool.end();
-  process.exit(0);
 });
 
 start();
\ No newline at end of file
@@ -1,67 +1,802 @@
 const express = require('express');
+const { randomUUID } = require('crypto');
 const cors = require('cors');
 const helmet = require('helmet');
 require('dotenv').config();
 
 const EventBus = require('../../shared/eventBus');
+const { correlationMiddleware } = require('../../shared/correlation');
+const EventStore = require('../../shared/eventStore');
+const { createEventRoutes } = require('../../shared/eventRoutes');
+const { OutboxRelay } = require('../../shared/outbox');
 const { EventFactory, EVENT_TYPES } = require('../../shared/events');
+const { schemaRegistry } = require('../../shared/eventSchemas');
+const { validateActivity } = require('../../shared/activitySchemas');
+const { UserProfileProjection } = require('../../shared/userProfiles');
+const { SearchAnalytics } = require('../../shared/searchAnalytics');
+const { RateLimiter } = require('../../shared/rateLimiter');
+const { ActivityAbuseDetector, ActivityQuarantine, QUARANTINE_STATUSES } = require('../../shared/activityAbuse');
+const { onShutdown } = require('../../shared/shutdown');
+const { requireAdmin } = require('../../shared/adminAuth');
 const { pool } = require('../../config/database');
 const { checkAndInitialize } = require('../../scripts/init-database');
+const { ActivityImporter, detectFormat, IMPORT_FORMATS } = require('../../scripts/import-activities');
+const { ActivityRetention } = require('../../scripts/activity-retention');
 
 const app = express();
 const PORT = process.env.USER_ACTIVITY_SERVICE_PORT || 3001;
 
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+app.use(correlationMiddleware());
+// Запросы приходят через nginx и Recommendation API: req.ip - адрес клиента из X-Forwarded-For
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
 
-const eventBus = new EventBus();
+const SERVICE_NAME = 'user-activity-service';
+const eventStore = new EventStore({ serviceName: SERVICE_NAME });
+const eventBus = new EventBus({ serviceName: SERVICE_NAME, eventStore });
+const outboxRelay = new OutboxRelay({ eventBus });
+const activityRetention = new ActivityRetention();
+const userProfileProjection = new UserProfileProjection();
+const searchAnalytics = new SearchAnalytics();
+const abuseDetector = new ActivityAbuseDetector();
+const activityQuarantine = new ActivityQuarantine();
+
+const BATCH_MAX_SIZE = parseInt(process.env.ACTIVITY_BATCH_MAX_SIZE) || 500;
+
+// Политика для активностей неизвестных пользователей и товаров: создать запись или отклонить активность
+const AUTO_CREATE_USERS = process.env.ACTIVITY_AUTO_CREATE_USERS !== 'false';
+const AUTO_CREATE_PRODUCTS = process.env.ACTIVITY_AUTO_CREATE_PRODUCTS === 'true';
+
+// Лимиты записи активностей в минуту на пользователя и на IP; 0 отключает лимит
+const userRateLimiter = new RateLimiter({ limit: parseInt(process.env.ACTIVITY_RATE_LIMIT_PER_USER || '120') });
+const ipRateLimiter = new RateLimiter({ limit: parseInt(process.env.ACTIVITY_RATE_LIMIT_PER_IP || '1200') });
+
+// Просмотр и разбор карантина доступны только администраторам (ADMIN_API_TOKENS)
+const adminOnly = requireAdmin();
+
+// Сессии просмотра: активности пользователя объединяются в сессию,
+// которая закрывается после SESSION_TIMEOUT_MINUTES бездействия
+class SessionTracker {
+  constructor(options = {}) {
+    this.outboxRelay = options.outboxRelay;
+    this.timeoutMinutes = options.timeoutMinutes || parseInt(process.env.SESSION_TIMEOUT_MINUTES) || 30;
+    this.sweepInterval = options.sweepInterval || 60000;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.closeExpiredSessions(), this.sweepInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Возвращает id сессии для активности; вызывается внутри транзакции записи активности.
+  // Переданный клиентом sessionId используется, если сессия еще открыта или не существует
+  async resolveSession(client, userId, requestedSessionId) {
+    // Параллельные запросы одного пользователя не должны открыть две сессии
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [userId]);
+    await this.closeSessions(client, 'user_id = $2', [userId]);
+
+    if (requestedSessionId) {
+      const existing = await client.query('SELECT * FROM user_sessions WHERE id = $1', [requestedSessionId]);
+
+      if (existing.rows.length === 0) {
+        return this.startSession(client, userId, requestedSessionId);
+      }
+
+      const session = existing.rows[0];
+      if (session.user_id === userId && !session.ended_at) {
+        return session.id;
+      }
+      console.warn(`Session ${requestedSessionId} is closed or belongs to another user, starting a new one`);
+    } else {
+      const open = await client.query(`
+        SELECT id FROM user_sessions
+        WHERE user_id = $1 AND ended_at IS NULL
+        ORDER BY last_activity_at DESC
+        LIMIT 1
+      `, [userId]);
+
+      if (open.rows.length > 0) {
+        return open.rows[0].id;
+      }
+    }
+
+    return this.startSession(client, userId, randomUUID());
+  }
+
+  // Сессии для пакета активностей; блокировки берутся в порядке userId,
+  // чтобы параллельные пакеты не заблокировали друг друга
+  async resolveSessionsForBatch(client, activities) {
+    const keys = Array.from(new Set(activities.map(a => JSON.stringify([a.userId, a.sessionId || null])))).sort();
+    const sessions = new Map();
+
+    for (const key of keys) {
+      const [userId, sessionId] = JSON.parse(key);
+      sessions.set(key, await this.resolveSession(client, userId, sessionId));
+    }
+
+    return activities.map(a => sessions.get(JSON.stringify([a.userId, a.sessionId || null])));
+  }
+
+  async startSession(client, userId, sessionId) {
+    await client.query(`
+      INSERT INTO user_sessions (id, user_id, started_at, last_activity_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [sessionId, userId]);
+    await this.outboxRelay.enqueue(client, EventFactory.createSessionStarted(sessionId, userId));
+
+    console.log(`Session started: ${sessionId} for user ${userId}`);
+    return sessionId;
+  }
+
+  async touchSessions(client, sessionIds) {
+    await client.query(`
+      UPDATE user_sessions SET last_activity_at = CURRENT_TIMESTAMP
+      WHERE id = ANY($1)
+    `, [sessionIds]);
+  }
+
+  // Закрывает просроченные сессии, подходящие под условие, и публикует SessionEnded через outbox.
+  // Сессия заканчивается в момент последней активности
+  async closeSessions(client, condition, params) {
+    const result = await client.query(`
+      UPDATE user_sessions
+      SET ended_at = last_activity_at, end_reason = 'timeout'
+      WHERE ended_at IS NULL
+        AND last_activity_at < NOW() - ($1 || ' minutes')::interval
+        AND ${condition}
+      RETURNING id
+    `, [this.timeoutMinutes, ...params]);
+
+    if (result.rows.length === 0) return 0;
+
+    const sessions = await this.querySessions(client, 's.id = ANY($1)', [result.rows.map(row => row.id)]);
+    for (const session of sessions) {
+      await this.outboxRelay.enqueue(client, EventFactory.createSessionEnded(session.id, session.userId, {
+        startedAt: session.startedAt,
+        endedAt: session.endedAt,
+        durationSeconds: session.durationSeconds,
+        activityCount: session.activityCount,
+        productsTouched: session.productsTouched,
+        outcome: session.outcome,
+        reason: session.endReason
+      }));
+      console.log(`Session ended: ${session.id} for user ${session.userId}`);
+    }
+
+    return sessions.length;
+  }
+
+  async closeExpiredSessions() {
+    let client;
+    let closed = 0;
+
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      closed = await this.closeSessions(client, 'TRUE', []);
+      await client.query('COMMIT');
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+      console.error('Error closing expired sessions:', error);
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+
+    if (closed > 0) {
+      this.outboxRelay.relayPending();
+    }
+    return closed;
+  }
+
+  // Сессии с агрегатами по их активностям
+  async querySessions(db, condition, params, limit = null) {
+    if (limit) {
+      params = [...params, limit];
+    }
+
+    const result = await db.query(`
+      SELECT
+        s.*,
+        EXTRACT(EPOCH FROM (COALESCE(s.ended_at, s.last_activity_at) - s.started_at))::integer AS duration_seconds,
+        COUNT(a.id)::integer AS activity_count,
+        ARRAY_REMOVE(ARRAY_AGG(DISTINCT a.product_id), NULL) AS products_touched,
+        COUNT(*) FILTER (WHERE a.activity_type = 'view')::integer AS views,
+        COUNT(*) FILTER (WHERE a.activity_type = 'add_to_cart')::integer AS cart_additions,
+        COUNT(*) FILTER (WHERE a.activity_type = 'purchase')::integer AS purchases,
+        COALESCE(SUM((a.activity_data->>'price')::decimal * COALESCE((a.activity_data->>'quantity')::integer, 1))
+          FILTER (WHERE a.activity_type = 'purchase'), 0) AS revenue
+      FROM user_sessions s
+      LEFT JOIN user_activities a ON a.session_id = s.id
+      WHERE ${condition}
+      GROUP BY s.id
+      ORDER BY s.started_at DESC
+      ${limit ? `LIMIT $${params.length}` : ''}
+    `, params);
+
+    return result.rows.map(row => this.formatSession(row));
+  }
+
+  formatSession(row) {
+    let outcome = 'browsed';
+    if (row.purchases > 0) {
+      outcome = 'purchased';
+    } else if (row.cart_additions > 0) {
+      outcome = 'added_to_cart';
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      status: row.ended_at ? 'ended' : 'active',
+      startedAt: row.started_at,
+      lastActivityAt: row.last_activity_at,
+      endedAt: row.ended_at,
+      endReason: row.end_reason,
+      durationSeconds: row.duration_seconds,
+      activityCount: row.activity_count,
+      productsTouched: row.products_touched,
+      views: row.views,
+      cartAdditions: row.cart_additions,
+      purchases: row.purchases,
+      revenue: parseFloat(row.revenue),
+      outcome
+    };
+  }
+
+  async getUserSessions(userId, limit = 20) {
+    try {
+      const sessions = await this.querySessions(pool, 's.user_id = $1', [userId], limit);
+      return { success: true, sessions };
+    } catch (error) {
+      console.error('Error getting user sessions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getSession(userId, sessionId) {
+    try {
+      const sessions = await this.querySessions(pool, 's.user_id = $1 AND s.id = $2', [userId, sessionId]);
+      if (sessions.length === 0) {
+        return { success: false, error: 'Session not found' };
+      }
+
+      const activities = await pool.query(`
+        SELECT * FROM user_activities
+        WHERE session_id = $1
+        ORDER BY timestamp
+      `, [sessionId]);
+
+      return { success: true, session: { ...sessions[0], activities: activities.rows } };
+    } catch (error) {
+      console.error('Error getting session:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+const sessionTracker = new SessionTracker({ outboxRelay });
+
+// Связывание анонимного (гостевого) id с зарегистрированным пользователем.
+// После слияния активности гостя принадлежат пользователю, а гостевой id остается его алиасом
+class UserIdentityService {
+  // Возвращает Map: id -> id пользователя, для id без алиаса значение совпадает с ключом
+  async resolveUserIds(userIds) {
+    const ids = Array.from(new Set(userIds.filter(Boolean)));
+    const resolved = new Map(ids.map(id => [id, id]));
+    if (ids.length === 0) return resolved;
+
+    const result = await pool.query(
+      'SELECT alias_id, user_id FROM user_aliases WHERE alias_id = ANY($1)',
+      [ids]
+    );
+    result.rows.forEach(row => resolved.set(row.alias_id, row.user_id));
+    return resolved;
+  }
+
+  async resolveUserId(userId) {
+    const resolved = await this.resolveUserIds([userId]);
+    return resolved.get(userId) || userId;
+  }
+
+  async mergeIdentity(guestId, targetId) {
+    const client = await pool.connect();
+    let summary;
+    let userId;
+
+    try {
+      await client.query('BEGIN');
+
+      // Целевой id сам может быть алиасом ранее объединенного пользователя
+      const target = await client.query('SELECT user_id FROM user_aliases WHERE alias_id = $1', [targetId]);
+      userId = target.rows.length > 0 ? target.rows[0].user_id : targetId;
+
+      if (guestId === userId) {
+        await client.query('ROLLBACK');
+        return { success: false, conflict: true, error: 'guestId and userId must be different users' };
+      }
+
+      // Те же блокировки, что и при определении сессии: активности гостя не появятся во время слияния
+      for (const id of [guestId, userId].sort()) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [id]);
+      }
+
+      const existing = await client.query('SELECT user_id FROM user_aliases WHERE alias_id = $1', [guestId]);
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return existing.rows[0].user_id === userId
+          ? { success: true, guestId, userId, alreadyMerged: true }
+          : { success: false, conflict: true, error: `${guestId} is already merged into another user` };
+      }
+
+      // Объединять можно только анонимный id: данные зарегистрированного пользователя
+      // или пользователя со своими алиасами слиянием не переносятся
+      const guest = await client.query(`
+        SELECT
+          (SELECT NOT anonymous FROM users WHERE id = $1) AS registered,
+          EXISTS (SELECT 1 FROM user_aliases WHERE user_id = $1) AS has_aliases
+      `, [guestId]);
+      if (guest.rows[0].registered || guest.rows[0].has_aliases) {
+        await client.query('ROLLBACK');
+        return { success: false, conflict: true, error: `${guestId} is a registered user and cannot be merged` };
+      }
+
+      // Слияние выполняется после входа, поэтому целевой пользователь больше не анонимный
+      await client.query(`
+        INSERT INTO users (id) VALUES ($1)
+        ON CONFLICT (id) DO UPDATE SET anonymous = false
+      `, [userId]);
+
+      const activities = await client.query('UPDATE user_activities SET user_id = $2 WHERE user_id = $1', [guestId, userId]);
+      const sessions = await client.query('UPDATE user_sessions SET user_id = $2 WHERE user_id = $1', [guestId, userId]);
+      const recommendations = await client.query('UPDATE recommendations SET user_id = $2 WHERE user_id = $1', [guestId, userId]);
+      await client.query('UPDATE search_queries SET user_id = $2 WHERE user_id = $1', [guestId, userId]);
+      await client.query('UPDATE search_attributions SET user_id = $2 WHERE user_id = $1', [guestId, userId]);
+      await client.query('UPDATE quarantined_activities SET user_id = $2 WHERE user_id = $1', [guestId, userId]);
+
+      // Обратная связь гостя дополняет обратную связь пользователя без дубликатов
+      await client.query(`
+        INSERT INTO recommendation_feedback (user_id, action, product_id, category, reason, created_at)
+        SELECT $2, action, product_id, category, reason, created_at
+        FROM recommendation_feedback WHERE user_id = $1
+        ON CONFLICT DO NOTHING
+      `, [guestId, userId]);
+      await client.query('DELETE FROM recommendation_feedback WHERE user_id = $1', [guestId]);
+
+      await client.query('INSERT INTO user_aliases (alias_id, user_id) VALUES ($1, $2)', [guestId, userId]);
+
+      summary = {
+        activitiesMoved: activities.rowCount,
+        sessionsMoved: sessions.rowCount,
+        recommendationsMoved: recommendations.rowCount
+      };
+      await outboxRelay.enqueue(client, EventFactory.createUserIdentityMerged(guestId, userId, summary));
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error merging user identity:', error);
+      return { success: false, error: error.message };
+    } finally {
+      client.release();
+    }
+
+    outboxRelay.relayPending();
+
+    console.log(`Identity merged: ${guestId} -> ${userId}`);
+    return { success: true, guestId, userId, ...summary };
+  }
+
+  async getIdentity(id) {
+    try {
+      const userId = await this.resolveUserId(id);
+      const aliases = await pool.query(
+        'SELECT alias_id, merged_at FROM user_aliases WHERE user_id = $1 ORDER BY merged_at',
+        [userId]
+      );
+
+      return {
+        success: true,
+        userId,
+        aliases: aliases.rows.map(row => ({ aliasId: row.alias_id, mergedAt: row.merged_at }))
+      };
+    } catch (error) {
+      console.error('Error getting user identity:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+const identityService = new UserIdentityService();
+
+// События с данными пользователя или его гостевых id ($1 - список id); column - JSON payload события
+const userEventsCondition = (column) =>
+  `(${column}->>'userId' = ANY($1) OR ${column}->>'guestId' = ANY($1))`;
+
+// Данные пользователя по GDPR: выгрузка всего, что хранится о пользователе,
+// и удаление (право на забвение) с записью в журнал аудита
+class UserDataService {
+  // Выгрузка читается в одном снимке базы, чтобы разделы архива были согласованы
+  async exportUserData(id) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+      const userId = await this.resolveUserId(client, id);
+      const user = await client.query('SELECT id, created_at, updated_at FROM users WHERE id = $1', [userId]);
+      if (user.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { success: false, error: `User not found: ${id}` };
+      }
+
+      const aliases = await client.query(
+        'SELECT alias_id, merged_at FROM user_aliases WHERE user_id = $1 ORDER BY merged_at',
+        [userId]
+      );
+      const activities = await client.query(`
+        SELECT id, product_id, activity_type, activity_data, session_id, timestamp
+        FROM user_activities WHERE user_id = $1 ORDER BY timestamp
+      `, [userId]);
+      const sessions = await client.query(`
+        SELECT id, started_at, last_activity_at, ended_at, end_reason
+        FROM user_sessions WHERE user_id = $1 ORDER BY started_at
+      `, [userId]);
+      const recommendations = await client.query(`
+        SELECT product_id, score, model_version, generated_at, delivered_at
+        FROM recommendations WHERE user_id = $1 ORDER BY generated_at
+      `, [userId]);
+      const feedback = await client.query(`
+        SELECT action, product_id, category, reason, created_at
+        FROM recommendation_feedback WHERE user_id = $1 ORDER BY created_at
+      `, [userId]);
+      const searches = await client.query(`
+        SELECT id, session_id, query, results_count, searched_at
+        FROM search_queries WHERE user_id = $1 ORDER BY searched_at
+      `, [userId]);
+      const searchAttributions = await client.query(`
+        SELECT search_id, session_id, product_id, activity_type, revenue, attributed_at
+        FROM search_attributions WHERE user_id = $1 ORDER BY attributed_at
+      `, [userId]);
+      const quarantined = await client.query(`
+        SELECT id, product_id, activity_type, activity_data, session_id, ip_address, reasons, status, created_at
+        FROM quarantined_activities WHERE user_id = $1 ORDER BY created_at
+      `, [userId]);
+
+      const ids = [userId, ...aliases.rows.map(row => row.alias_id)];
+      const events = await client.query(`
+        SELECT id, type, schema_version, aggregate_id, data, timestamp, source_service
+        FROM events WHERE ${userEventsCondition('data')} ORDER BY position
+      `, [ids]);
+
+      await client.query('COMMIT');
+
+      return {
+        success: true,
+        userId,
+        exportedAt: new Date(),
+        user: {
+          id: user.rows[0].id,
+          createdAt: user.rows[0].created_at,
+          updatedAt: user.rows[0].updated_at
+        },
+        aliases: aliases.rows.map(row => ({ aliasId: row.alias_id, mergedAt: row.merged_at })),
+        activities: activities.rows.map(row => ({
+          id: row.id,
+          productId: row.product_id,
+          activityType: row.activity_type,
+          metadata: row.activity_data,
+          sessionId: row.session_id,
+          timestamp: row.timestamp
+        })),
+        sessions: sessions.rows.map(row => ({
+          id: row.id,
+          startedAt: row.started_at,
+          lastActivityAt: row.last_activity_at,
+          endedAt: row.ended_at,
+          endReason: row.end_reason
+        })),
+        recommendations: recommendations.rows.map(row => ({
+          productId: row.product_id,
+          score: parseFloat(row.score),
+          modelVersion: row.model_version,
+          generatedAt: row.generated_at,
+          deliveredAt: row.delivered_at
+        })),
+        feedback: feedback.rows.map(row => ({
+          action: row.action,
+          productId: row.product_id,
+          category: row.category,
+          reason: row.reason,
+          createdAt: row.created_at
+        })),
+        searches: searches.rows.map(row => ({
+          id: row.id,
+          sessionId: row.session_id,
+          query: row.query,
+          resultsCount: row.results_count,
+          searchedAt: row.searched_at
+        })),
+        searchAttributions: searchAttributions.rows.map(row => ({
+          searchId: row.search_id,
+          sessionId: row.session_id,
+          productId: row.product_id,
+          activityType: row.activity_type,
+          revenue: row.revenue === null ? null : parseFloat(row.revenue),
+          attributedAt: row.attributed_at
+        })),
+        quarantinedActivities: quarantined.rows.map(row => ({
+          id: row.id,
+          productId: row.product_id,
+          activityType: row.activity_type,
+          metadata: row.activity_data,
+          sessionId: row.session_id,
+          ip: row.ip_address,
+          reasons: row.reasons,
+          status: row.status,
+          createdAt: row.created_at
+        })),
+        events: events.rows.map(row => ({
+          id: row.id,
+          type: row.type,
+          schemaVersion: row.schema_version,
+          aggregateId: row.aggregate_id,
+          data: row.data,
+          timestamp: row.timestamp,
+          sourceService: row.source_service
+        }))
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error exporting user data:', error);
+      return { success: false, error: error.message };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Удаляет все строки пользователя и его алиасов, включая события в журнале, outbox, dead letter queue
+  // и архивы секций. Остальные сервисы очищают кэши по событию UserDataErased
+  async eraseUserData(id, { requestedBy } = {}) {
+    const client = await pool.connect();
+    let userId;
+    let ids;
+    let summary;
+
+    try {
+      await client.query('BEGIN');
+
+      userId = await this.resolveUserId(client, id);
+      const user = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (user.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { success: false, error: `User not found: ${id}` };
+      }
+
+      const aliases = await client.query('SELECT alias_id FROM user_aliases WHERE user_id = $1', [userId]);
+      ids = [userId, ...aliases.rows.map(row => row.alias_id)];
+
+      // Те же блокировки, что и при записи активности: новые активности не появятся во время удаления
+      for (const lockId of [...ids].sort()) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [lockId]);
+      }
+
+      const recommendations = await client.query('DELETE FROM recommendations WHERE user_id = $1', [userId]);
+      const feedback = await client.query('DELETE FROM recommendation_feedback WHERE user_id = $1', [userId]);
+      const activities = await client.query('DELETE FROM user_activities WHERE user_id = $1', [userId]);
+      const sessions = await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM search_attributions WHERE user_id = $1', [userId]);
+      const searches = await client.query('DELETE FROM search_queries WHERE user_id = $1', [userId]);
+      const quarantined = await client.query('DELETE FROM quarantined_activities WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_aliases WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+      const events = await client.query(`DELETE FROM events WHERE ${userEventsCondition('data')}`, [ids]);
+      const outbox = await client.query(`DELETE FROM event_outbox WHERE ${userEventsCondition("payload->'data'")}`, [ids]);
+      const deadLetters = await client.query(`DELETE FROM dead_letter_events WHERE ${userEventsCondition("payload->'data'")}`, [ids]);
+
+      summary = {
+        activitiesDeleted: activities.rowCount,
+        sessionsDeleted: sessions.rowCount,
+        recommendationsDeleted: recommendations.rowCount,
+        feedbackDeleted: feedback.rowCount,
+        searchesDeleted: searches.rowCount,
+        quarantinedDeleted: quarantined.rowCount,
+        aliasesDeleted: aliases.rows.length,
+        eventsDeleted: events.rowCount + outbox.rowCount + deadLetters.rowCount
+      };
+
+      // Запись аудита фиксируется вместе с удалением
+      await client.query(`
+        INSERT INTO user_data_erasures (user_id, alias_ids, aliases_count, summary, requested_by)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [userId, ids.slice(1), aliases.rows.length, summary, requestedBy || null]);
+
+      await outboxRelay.enqueue(client, EventFactory.createUserDataErased(userId, ids.slice(1)));
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error erasing user data:', error);
+      return { success: false, error: error.message };
+    } finally {
+      client.release();
+    }
+
+    outboxRelay.relayPending();
+
+    // Архивы очищаются после фиксации удаления: новые архивы уже не содержат строк пользователя
+    const archives = await activityRetention.purgeArchives();
+
+    console.log(`User data erased: ${userId} (${ids.length - 1} aliases)`);
+    return { success: true, userId, ...summary, archives };
+  }
+
+  async resolveUserId(client, id) {
+    const alias = await client.query('SELECT user_id FROM user_aliases WHERE alias_id = $1', [id]);
+    return alias.rows.length > 0 ? alias.rows[0].user_id : id;
+  }
+}
+
+const userDataService = new UserDataService();
 
 class UserActivityService {
   constructor() {
     this.activities = new Map();
   }
 
-  async trackUserActivity(activityData) {
-    const { userId, productId, activityType, metadata = {} } = activityData;
+  // Создание события по активности и проверка его контракта.
+  // Проверка выполняется до записи, чтобы не сохранять активность без события
+  buildActivityEvent(activityData) {
+    const requestErrors = validateActivity(activityData);
+    if (requestErrors.length > 0) {
+      return { success: false, error: 'Invalid activity', details: requestErrors };
+    }
 
-    try {
-      // Сохранение активности в базу данных
-      const query = `
-        INSERT INTO user_activities (user_id, product_id, activity_type, activity_data, timestamp)
-        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    const event = EventFactory.createFromActivity(activityData);
+    const validationErrors = schemaRegistry.validateFields(event.type, event.data);
+    if (validationErrors.length > 0) {
+      return {
+        success: false,
+        error: `Invalid ${activityData.activityType} activity`,
+        details: validationErrors
+      };
+    }
+
+    return { success: true, event };
+  }
+
+  // Создание недостающих пользователей и товаров согласно политике; вызывается внутри транзакции.
+  // Возвращает для каждой активности список ошибок по ссылкам, которые не удалось разрешить
+  async ensureReferences(client, activities) {
+    const userIds = Array.from(new Set(activities.map(a => a.userId)));
+    const productIds = Array.from(new Set(activities.map(a => a.productId).filter(Boolean)));
+
+    const missingUsers = await this.ensureRows(client, 'users', userIds, AUTO_CREATE_USERS);
+    const missingProducts = await this.ensureRows(client, 'products', productIds, AUTO_CREATE_PRODUCTS);
+
+    return activities.map(a => {
+      const errors = [];
+      if (missingUsers.has(a.userId)) {
+        errors.push({ field: 'userId', message: `user ${a.userId} does not exist` });
+      }
+      if (a.productId && missingProducts.has(a.productId)) {
+        errors.push({ field: 'productId', message: `product ${a.productId} does not exist` });
+      }
+      return errors;
+    });
+  }
+
+  // Возвращает множество отсутствующих id; при autoCreate создает их
+  // (товар - с id вместо названия, пользователь - как анонимный гостевой id)
+  async ensureRows(client, table, ids, autoCreate) {
+    if (ids.length === 0) return new Set();
+
+    if (autoCreate) {
+      const columns = table === 'products' ? '(id, name) SELECT id, id' : '(id, anonymous) SELECT id, true';
+      const created = await client.query(`
+        INSERT INTO ${table} ${columns} FROM UNNEST($1::varchar[]) AS id
+        ON CONFLICT (id) DO NOTHING
         RETURNING id
-      `;
+      `, [ids]);
 
-      const result = await pool.query(query, [userId, productId, activityType, metadata]);
-
-      // Публикация события в EventBus
-      let event;
-      switch (activityType) {
-        case 'view':
-          event = EventFactory.createUserViewedProduct(userId, productId, metadata);
-          break;
-        case 'add_to_cart':
-          event = EventFactory.createUserAddedToCart(userId, productId, metadata.quantity || 1, metadata);
-          break;
-        case 'purchase':
-          event = EventFactory.createUserPurchasedProduct(userId, productId, metadata.quantity, metadata.price, metadata);
-          break;
-        case 'search':
-          event = EventFactory.createUserSearchedProducts(userId, metadata.query, metadata.results, metadata);
-          break;
-        default:
-          console.warn(`Unknown activity type: ${activityType}`);
-          return { success: false, error: 'Unknown activity type' };
-      }
-
-      await eventBus.publish(event);
+      if (created.rowCount > 0) {
+        console.log(`Auto-created ${table}: ${created.rows.map(row => row.id).join(', ')}`);
+      }
+      return new Set();
+    }
+
+    const existing = await client.query(`SELECT id FROM ${table} WHERE id = ANY($1)`, [ids]);
+    const existingIds = new Set(existing.rows.map(row => row.id));
+    return new Set(ids.filter(id => !existingIds.has(id)));
+  }
+
+  // skipAbuseCheck - запись активности, выпущенной администратором из карантина
+  async trackUserActivity(rawActivityData, { ip, skipAbuseCheck = false } = {}) {
+    try {
+      // Активности гостя, пришедшие после слияния, записываются на пользователя
+      const activityData = { ...rawActivityData, userId: await identityService.resolveUserId(rawActivityData.userId) };
+      const { userId, productId, activityType, metadata = {} } = activityData;
+
+      const built = this.buildActivityEvent(activityData);
+      if (!built.success) {
+        return built;
+      }
+      const { event } = built;
+
+      // Подозрительная активность откладывается в карантин вместо записи
+      if (!skipAbuseCheck) {
+        const [verdict] = await abuseDetector.evaluate([activityData], { ip });
+        if (verdict.quarantine) {
+          const quarantineId = await activityQuarantine.add(activityData, verdict, { ip });
+          return { success: true, quarantined: true, quarantineId };
+        }
+      }
+
+      // Активность и событие в outbox сохраняются в одной транзакции
+      const client = await pool.connect();
+      let result;
+      let sessionId;
+
+      try {
+        await client.query('BEGIN');
+
+        const [referenceErrors] = await this.ensureReferences(client, [activityData]);
+        if (referenceErrors.length > 0) {
+          await client.query('ROLLBACK');
+          return { success: false, error: 'Unknown references', details: referenceErrors };
+        }
+
+        sessionId = await sessionTracker.resolveSession(client, userId, activityData.sessionId);
+        event.data.sessionId = sessionId;
+
+        const query = `
+          INSERT INTO user_activities (user_id, product_id, activity_type, activity_data, session_id, timestamp)
+          VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+          RETURNING id
+        `;
+
+        result = await client.query(query, [userId, productId, activityType, metadata, sessionId]);
+        await sessionTracker.touchSessions(client, [sessionId]);
+        await searchAnalytics.record(client, [{
+          activityId: result.rows[0].id,
+          userId,
+          productId,
+          activityType,
+          metadata,
+          sessionId
+        }]);
+        await outboxRelay.enqueue(client, event);
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      // Публикация в EventBus выполняется relay; запускаем его сразу, не дожидаясь опроса
+      outboxRelay.relayPending();
 
       console.log(`Activity tracked: ${activityType} for user ${userId}`);
+      // userId - id, на который записана активность (после разрешения алиаса гостя)
       return {
         success: true,
+        userId,
         activityId: result.rows[0].id,
-        eventId: event.id
+        eventId: event.id,
+        sessionId
       };
     } catch (error) {
       console.error('Error tracking user activity:', error);
@@ -69,6 +804,175 @@ class UserActivityService {
     }
   }
 
+  // Пакетная запись: каждая активность проверяется отдельно, валидные записываются
+  // одним INSERT вместе с событиями в outbox, результат возвращается для каждого элемента
+  async trackUserActivities(rawActivities, { ip } = {}) {
+    const results = new Array(rawActivities.length);
+    let accepted = [];
+    let activities;
+
+    try {
+      const userIds = await identityService.resolveUserIds(
+        rawActivities.filter(a => a && typeof a === 'object').map(a => a.userId)
+      );
+      activities = rawActivities.map(a => (a && typeof a === 'object' && userIds.has(a.userId))
+        ? { ...a, userId: userIds.get(a.userId) }
+        : a);
+    } catch (error) {
+      console.error('Error tracking activity batch:', error);
+      return { success: false, error: error.message };
+    }
+
+    activities.forEach((activityData, index) => {
+      let built;
+      try {
+        built = this.buildActivityEvent(activityData);
+      } catch (error) {
+        built = { success: false, error: error.message };
+      }
+
+      if (built.success) {
+        accepted.push({ index, activityData, event: built.event });
+      } else {
+        results[index] = { index, ...built };
+      }
+    });
+
+    if (accepted.length > 0) {
+      try {
+        const verdicts = await abuseDetector.evaluate(accepted.map(item => item.activityData), { ip });
+        for (const [i, item] of accepted.entries()) {
+          if (verdicts[i].quarantine) {
+            const quarantineId = await activityQuarantine.add(item.activityData, verdicts[i], { ip });
+            results[item.index] = { index: item.index, success: true, quarantined: true, quarantineId };
+          }
+        }
+        accepted = accepted.filter((item, i) => !verdicts[i].quarantine);
+      } catch (error) {
+        console.error('Error tracking activity batch:', error);
+        return { success: false, error: error.message };
+      }
+    }
+
+    if (accepted.length > 0) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const referenceErrors = await this.ensureReferences(client, accepted.map(item => item.activityData));
+        accepted.forEach((item, i) => {
+          if (referenceErrors[i].length > 0) {
+            results[item.index] = { index: item.index, success: false, error: 'Unknown references', details: referenceErrors[i] };
+          }
+        });
+        accepted = accepted.filter((item, i) => referenceErrors[i].length === 0);
+
+        if (accepted.length === 0) {
+          await client.query('COMMIT');
+          return this.formatBatchResult(results, 0);
+        }
+
+        const sessionIds = await sessionTracker.resolveSessionsForBatch(client, accepted.map(item => item.activityData));
+        accepted.forEach((item, i) => {
+          item.event.data.sessionId = sessionIds[i];
+        });
+
+        const params = [];
+        const values = accepted.map(({ activityData }, i) => {
+          params.push(activityData.userId, activityData.productId, activityData.activityType, activityData.metadata || {}, sessionIds[i]);
+          const offset = params.length - 5;
+          return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, CURRENT_TIMESTAMP)`;
+        });
+
+        const result = await client.query(`
+          INSERT INTO user_activities (user_id, product_id, activity_type, activity_data, session_id, timestamp)
+          VALUES ${values.join(', ')}
+          RETURNING id
+        `, params);
+        await sessionTracker.touchSessions(client, Array.from(new Set(sessionIds)));
+        await searchAnalytics.record(client, accepted.map(({ activityData }, i) => ({
+          ...activityData,
+          activityId: result.rows[i].id,
+          sessionId: sessionIds[i]
+        })));
+        await outboxRelay.enqueueMany(client, accepted.map(item => item.event));
+
+        await client.query('COMMIT');
+
+        accepted.forEach((item, i) => {
+          results[item.index] = {
+            index: item.index,
+            success: true,
+            userId: item.activityData.userId,
+            activityId: result.rows[i].id,
+            eventId: item.event.id,
+            sessionId: item.event.data.sessionId
+          };
+        });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error tracking activity batch:', error);
+        return { success: false, error: error.message };
+      } finally {
+        client.release();
+      }
+
+      outboxRelay.relayPending();
+    }
+
+    return this.formatBatchResult(results, accepted.length);
+  }
+
+  formatBatchResult(results, acceptedCount) {
+    const quarantined = results.filter(result => result.quarantined).length;
+    const rejected = results.length - acceptedCount - quarantined;
+
+    console.log(`Activity batch tracked: ${acceptedCount} accepted, ${quarantined} quarantined, ${rejected} rejected`);
+    return {
+      success: true,
+      accepted: acceptedCount,
+      quarantined,
+      rejected,
+      results
+    };
+  }
+
+  // Решение администратора по активности из карантина: выпущенная записывается как обычная активность
+  async reviewQuarantinedActivity(id, status, { reviewedBy } = {}) {
+    try {
+      const entry = await activityQuarantine.review(id, status, { reviewedBy });
+      if (!entry) {
+        return { success: false, error: `Quarantined activity not found or already reviewed: ${id}` };
+      }
+
+      if (status === QUARANTINE_STATUSES.REJECTED) {
+        console.log(`Quarantined activity #${id} rejected`);
+        return { success: true, activity: entry };
+      }
+
+      const result = await this.trackUserActivity({
+        userId: entry.userId,
+        productId: entry.productId || undefined,
+        activityType: entry.activityType,
+        sessionId: entry.sessionId || undefined,
+        metadata: entry.metadata
+      }, { skipAbuseCheck: true });
+
+      if (!result.success) {
+        await activityQuarantine.reopen(id);
+        return result;
+      }
+
+      await activityQuarantine.setActivityId(id, result.activityId);
+      console.log(`Quarantined activity #${id} released as activity ${result.activityId}`);
+      return { success: true, activity: { ...entry, activityId: result.activityId }, eventId: result.eventId };
+    } catch (error) {
+      console.error('Error reviewing quarantined activity:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async getUserActivities(userId, limit = 100) {
     try {
       const query = `
@@ -86,41 +990,12 @@ class UserActivityService {
     }
   }
 
+  // Профиль из проекции user_profiles (shared/userProfiles.js); для гостя, объединенного
+  // с пользователем, возвращается профиль пользователя
   async getUserBehaviorProfile(userId) {
     try {
-      const query = `
-        SELECT
-          activity_type,
-          COUNT(*) as count,
-          AVG(CASE WHEN activity_type = 'purchase' THEN (activity_data->>'price')::decimal END) as avg_purchase_value
-        FROM user_activities
-        WHERE user_id = $1
-          AND timestamp > NOW() - INTERVAL '30 days'
-        GROUP BY activity_type
-      `;
-
-      const result = await pool.query(query, [userId]);
-
-      // Получение последних просмотренных товаров
-      const recentViewsQuery = `
-        SELECT product_id, COUNT(*) as view_count
-        FROM user_activities
-        WHERE user_id = $1 AND activity_type = 'view'
-          AND timestamp > NOW() - INTERVAL '7 days'
-        GROUP BY product_id
-        ORDER BY view_count DESC
-        LIMIT 10
-      `;
-
-      const recentViews = await pool.query(recentViewsQuery, [userId]);
-
-      return {
-        success: true,
-        profile: {
-          summary: result.rows,
-          recentlyViewed: recentViews.rows
-        }
-      };
+      const profile = await userProfileProjection.getProfile(await identityService.resolveUserId(userId));
+      return { success: true, profile };
     } catch (error) {
       console.error('Error getting user behavior profile:', error);
       return { success: false, error: error.message };
@@ -130,12 +1005,103 @@ class UserActivityService {
 
 const userActivityService = new UserActivityService();
 
+// Лимиты частоты записи: пакет расходует лимит по числу активностей каждого пользователя.
+// Лимит пользователя общий для его гостевых алиасов, поэтому userId разрешаются заранее
+async function activityRateLimit(req, res, next) {
+  const activities = Array.isArray(req.body.activities) ? req.body.activities : [req.body];
+  const userIds = activities
+    .filter(activity => activity && typeof activity === 'object' && typeof activity.userId === 'string' && activity.userId)
+    .map(activity => activity.userId);
+
+  let resolved = new Map();
+  try {
+    resolved = await identityService.resolveUserIds(userIds);
+  } catch (error) {
+    // Без разрешения алиасов лимит считается по переданным userId
+    console.error('Failed to resolve user ids for rate limiting:', error);
+  }
+
+  const perUser = new Map();
+  for (const id of userIds) {
+    const userId = resolved.get(id) || id;
+    perUser.set(userId, (perUser.get(userId) || 0) + 1);
+  }
+
+  const checks = [ipRateLimiter.consume(req.ip, activities.length)];
+  for (const [userId, count] of perUser) {
+    checks.push(userRateLimiter.consume(userId, count));
+  }
+
+  const denied = checks.filter(check => !check.allowed);
+  if (denied.length === 0) {
+    return next();
+  }
+
+  const retryAfter = Math.ceil(Math.max(...denied.map(check => check.retryAfterMs)) / 1000);
+  console.warn(`Activity rate limit exceeded for ${req.ip}`);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ success: false, error: 'Rate limit exceeded', retryAfter });
+}
+
 // API Routes
-app.post('/track', async (req, res) => {
-  const result = await userActivityService.trackUserActivity(req.body);
+app.post('/track', activityRateLimit, async (req, res) => {
+  const validationErrors = validateActivity(req.body);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid activity',
+      details: validationErrors
+    });
+  }
+
+  const result = await userActivityService.trackUserActivity(req.body, { ip: req.ip });
+  // details - ошибки в данных запроса (например, неизвестный товар)
+  res.status(result.details ? 400 : 200).json(result);
+});
+
+app.post('/track/batch', activityRateLimit, async (req, res) => {
+  const { activities } = req.body;
+
+  if (!Array.isArray(activities) || activities.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'activities must be a non-empty array'
+    });
+  }
+
+  if (activities.length > BATCH_MAX_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `Batch size exceeds limit of ${BATCH_MAX_SIZE} activities`
+    });
+  }
+
+  const result = await userActivityService.trackUserActivities(activities, { ip: req.ip });
   res.json(result);
 });
 
+// Импорт исторических активностей: тело запроса - файл CSV (с заголовком) или NDJSON.
+// publishEvents=false не публикует события, чтобы массовая загрузка не нагружала EventBus
+app.post('/import', async (req, res) => {
+  const format = req.query.format || detectFormat(req.headers['content-type']);
+  const publishEvents = req.query.publishEvents !== 'false';
+
+  if (!IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported import format, expected one of: ${IMPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const importer = new ActivityImporter({ format, publishEvents, outboxRelay });
+  const report = await importer.import(req);
+
+  if (publishEvents && report.imported > 0) {
+    outboxRelay.relayPending();
+  }
+  res.json(report);
+});
+
 app.get('/activities/:userId', async (req, res) => {
   const { userId } = req.params;
   const { limit = 100 } = req.query;
@@ -144,6 +1110,138 @@ app.get('/activities/:userId', async (req, res) => {
   res.json(result);
 });
 
+// Карантин подозрительных активностей: просмотр и решение администратора
+app.get('/quarantine', adminOnly, async (req, res) => {
+  const { status = QUARANTINE_STATUSES.PENDING, userId, limit = 50, offset = 0 } = req.query;
+
+  try {
+    const activities = await activityQuarantine.list({
+      status,
+      userId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    res.json({ success: true, activities });
+  } catch (error) {
+    console.error('Error listing quarantined activities:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/quarantine/stats', adminOnly, async (req, res) => {
+  try {
+    const rules = await activityQuarantine.getStats();
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Error getting quarantine stats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/quarantine/:id/release', adminOnly, async (req, res) => {
+  const result = await userActivityService.reviewQuarantinedActivity(
+    parseInt(req.params.id),
+    QUARANTINE_STATUSES.RELEASED,
+    { reviewedBy: req.admin.name }
+  );
+  res.json(result);
+});
+
+app.post('/quarantine/:id/reject', adminOnly, async (req, res) => {
+  const result = await userActivityService.reviewQuarantinedActivity(
+    parseInt(req.params.id),
+    QUARANTINE_STATUSES.REJECTED,
+    { reviewedBy: req.admin.name }
+  );
+  res.json(result);
+});
+
+// Поисковая аналитика
+app.get('/search/top', async (req, res) => {
+  const { days = 30, limit = 20 } = req.query;
+
+  const result = await searchAnalytics.getTopQueries({ days: parseInt(days), limit: parseInt(limit) });
+  res.json(result);
+});
+
+app.get('/search/zero-results', async (req, res) => {
+  const { days = 30, limit = 20 } = req.query;
+
+  const result = await searchAnalytics.getZeroResultQueries({ days: parseInt(days), limit: parseInt(limit) });
+  res.json(result);
+});
+
+app.get('/search/conversions', async (req, res) => {
+  const { days = 30, limit = 20, minSearches = 1 } = req.query;
+
+  const result = await searchAnalytics.getQueryConversions({
+    days: parseInt(days),
+    limit: parseInt(limit),
+    minSearches: parseInt(minSearches)
+  });
+  res.json(result);
+});
+
+app.get('/sessions/:userId', async (req, res) => {
+  const { userId } = req.params;
+  const { limit = 20 } = req.query;
+
+  const result = await sessionTracker.getUserSessions(userId, parseInt(limit));
+  res.json(result);
+});
+
+app.get('/sessions/:userId/:sessionId', async (req, res) => {
+  const { userId, sessionId } = req.params;
+
+  const result = await sessionTracker.getSession(userId, sessionId);
+  res.json(result);
+});
+
+// Слияние гостевого id с зарегистрированным пользователем (например, при входе)
+app.post('/identity/merge', async (req, res) => {
+  const { guestId, userId } = req.body;
+
+  if (!guestId || !userId) {
+    return res.status(400).json({
+      success: false,
+      error: 'guestId and userId are required'
+    });
+  }
+
+  if (guestId === userId) {
+    return res.status(400).json({
+      success: false,
+      error: 'guestId and userId must be different users'
+    });
+  }
+
+  const result = await identityService.mergeIdentity(guestId, userId);
+  res.status(result.conflict ? 409 : 200).json(result);
+});
+
+app.get('/identity/:userId', async (req, res) => {
+  const result = await identityService.getIdentity(req.params.userId);
+  res.json(result);
+});
+
+// Выгрузка всех данных пользователя (GDPR)
+app.get('/users/:userId/export', async (req, res) => {
+  const result = await userDataService.exportUserData(req.params.userId);
+
+  if (result.success) {
+    res.attachment(`user-data-${result.userId}.json`);
+  }
+  res.json(result);
+});
+
+// Удаление всех данных пользователя (право на забвение)
+app.delete('/users/:userId', async (req, res) => {
+  const result = await userDataService.eraseUserData(req.params.userId, {
+    requestedBy: req.get('X-Requested-By')
+  });
+  res.json(result);
+});
+
 app.get('/profile/:userId', async (req, res) => {
   const { userId } = req.params;
 
@@ -151,6 +1249,36 @@ app.get('/profile/:userId', async (req, res) => {
   res.json(result);
 });
 
+// Контракты событий
+app.use('/events', createEventRoutes({ eventBus }));
+
+app.get('/outbox/status', async (req, res) => {
+  const { limit = 50 } = req.query;
+
+  try {
+    const status = await outboxRelay.getStatus(parseInt(limit));
+    res.json({ success: true, outbox: status });
+  } catch (error) {
+    console.error('Error getting outbox status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/outbox/:id/requeue', async (req, res) => {
+  try {
+    const entry = await outboxRelay.requeue(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: `Parked outbox entry not found: ${req.params.id}` });
+    }
+
+    outboxRelay.relayPending();
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Error requeuing outbox entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
@@ -166,6 +1294,9 @@ async function start() {
     await checkAndInitialize();
 
     await eventBus.connect();
+    outboxRelay.start();
+    sessionTracker.start();
+    activityRetention.start();
 
     app.listen(PORT, () => {
       console.log(`User Activity Service running on port ${PORT}`);
@@ -177,11 +1308,11 @@ async function start() {
 }
 
 // Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('Shutting down User Activity Service...');
+onShutdown('User Activity Service', async () => {
+  outboxRelay.stop();
+  sessionTracker.stop();
+  activityRetention.stop();
   await eventBus.disconnect();
-  await pool.end();
-  process.exit(0);
 });
 
 start();
\ No newline at end of file
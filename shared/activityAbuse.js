@@ -0,0 +1,252 @@
+// Обнаружение ботов и накруток в потоке активностей: эвристическая оценка
+// подозрительных всплесков и карантин активностей, не прошедших проверку.
+// Активности в карантине не попадают в user_activities и события до решения администратора
+const { pool } = require('../config/database');
+const { SlidingWindowCounter } = require('./rateLimiter');
+
+const MINUTE = 60 * 1000;
+
+const QUARANTINE_STATUSES = {
+  PENDING: 'pending',
+  RELEASED: 'released',
+  REJECTED: 'rejected'
+};
+
+// Вклад правил в оценку; активность помещается в карантин при оценке >= quarantineScore
+const RULE_SCORES = {
+  view_rate: 1.0,
+  purchase_rate: 1.0,
+  ip_user_fanout: 0.6,
+  purchase_without_cart: 0.5
+};
+
+function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+function envFloat(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+class ActivityAbuseDetector {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    this.thresholds = {
+      viewsPerMinute: envInt('ABUSE_MAX_VIEWS_PER_MINUTE', 30),
+      purchasesPerMinute: envInt('ABUSE_MAX_PURCHASES_PER_MINUTE', 5),
+      usersPerIp: envInt('ABUSE_MAX_USERS_PER_IP', 20),
+      ...options.thresholds
+    };
+    // Явно заданный 0 помещает в карантин все активности
+    this.quarantineScore = options.quarantineScore !== undefined
+      ? options.quarantineScore
+      : envFloat('ABUSE_QUARANTINE_SCORE', 1.0);
+    this.ipUsersWindowMs = options.ipUsersWindowMs || 10 * MINUTE;
+
+    this.views = new SlidingWindowCounter(MINUTE);
+    this.purchases = new SlidingWindowCounter(MINUTE);
+    // Разные пользователи с одного IP: ip -> (userId -> время последней активности)
+    this.ipUsers = new Map();
+    this.lastIpCleanupAt = Date.now();
+  }
+
+  // Оценка активностей одного запроса в порядке записи; userId уже разрешены через алиасы.
+  // Возвращает для каждой активности { score, reasons, quarantine }
+  async evaluate(activities, { ip } = {}) {
+    const cartProducts = await this.findCartProducts(activities);
+
+    return activities.map(activity => {
+      const reasons = [];
+      const now = Date.now();
+
+      if (activity.activityType === 'view') {
+        const views = this.views.add(activity.userId, 1, now);
+        if (views > this.thresholds.viewsPerMinute) {
+          reasons.push({ rule: 'view_rate', value: Math.round(views), threshold: this.thresholds.viewsPerMinute });
+        }
+      }
+
+      if (activity.activityType === 'purchase') {
+        const purchases = this.purchases.add(activity.userId, 1, now);
+        if (purchases > this.thresholds.purchasesPerMinute) {
+          reasons.push({ rule: 'purchase_rate', value: Math.round(purchases), threshold: this.thresholds.purchasesPerMinute });
+        }
+        if (!cartProducts.has(`${activity.userId}:${activity.productId}`)) {
+          reasons.push({ rule: 'purchase_without_cart' });
+        }
+      }
+
+      if (activity.activityType === 'add_to_cart') {
+        cartProducts.add(`${activity.userId}:${activity.productId}`);
+      }
+
+      if (ip) {
+        const users = this.trackIpUser(ip, activity.userId, now);
+        if (users > this.thresholds.usersPerIp) {
+          reasons.push({ rule: 'ip_user_fanout', value: users, threshold: this.thresholds.usersPerIp });
+        }
+      }
+
+      const score = reasons.reduce((sum, reason) => sum + RULE_SCORES[reason.rule], 0);
+      return { score, reasons, quarantine: score >= this.quarantineScore };
+    });
+  }
+
+  // Товары, добавленные пользователями в корзину за последние сутки: ключи `${userId}:${productId}`
+  async findCartProducts(activities) {
+    const purchases = activities.filter(a => a.activityType === 'purchase');
+    if (purchases.length === 0) return new Set();
+
+    const result = await this.db.query(`
+      SELECT DISTINCT user_id, product_id
+      FROM user_activities
+      WHERE user_id = ANY($1)
+        AND product_id = ANY($2)
+        AND activity_type = 'add_to_cart'
+        AND timestamp > NOW() - INTERVAL '24 hours'
+    `, [
+      Array.from(new Set(purchases.map(a => a.userId))),
+      Array.from(new Set(purchases.map(a => a.productId)))
+    ]);
+
+    return new Set(result.rows.map(row => `${row.user_id}:${row.product_id}`));
+  }
+
+  trackIpUser(ip, userId, now) {
+    let users = this.ipUsers.get(ip);
+    if (!users) {
+      users = new Map();
+      this.ipUsers.set(ip, users);
+    }
+    users.set(userId, now);
+    this.expireIpUsers(ip, users, now);
+
+    // IP без активностей за окно удаляются не чаще раза в окно
+    if (now - this.lastIpCleanupAt >= this.ipUsersWindowMs) {
+      this.lastIpCleanupAt = now;
+      for (const [otherIp, otherUsers] of this.ipUsers) {
+        this.expireIpUsers(otherIp, otherUsers, now);
+      }
+    }
+    return users.size;
+  }
+
+  expireIpUsers(ip, users, now) {
+    for (const [id, seenAt] of users) {
+      if (now - seenAt > this.ipUsersWindowMs) users.delete(id);
+    }
+    if (users.size === 0) this.ipUsers.delete(ip);
+  }
+}
+
+// Хранилище активностей в карантине
+class ActivityQuarantine {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+  }
+
+  async add(activity, { score, reasons }, { ip } = {}) {
+    const result = await this.db.query(`
+      INSERT INTO quarantined_activities (
+        user_id, product_id, activity_type, activity_data, session_id, ip_address, score, reasons
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [
+      activity.userId,
+      activity.productId || null,
+      activity.activityType,
+      activity.metadata || {},
+      activity.sessionId || null,
+      ip || null,
+      score,
+      JSON.stringify(reasons)
+    ]);
+
+    console.warn(`Activity quarantined: ${activity.activityType} for user ${activity.userId} (${reasons.map(r => r.rule).join(', ')})`);
+    return result.rows[0].id;
+  }
+
+  async list({ status = QUARANTINE_STATUSES.PENDING, userId, limit = 50, offset = 0 } = {}) {
+    const result = await this.db.query(`
+      SELECT * FROM quarantined_activities
+      WHERE ($1::varchar = 'all' OR status = $1)
+        AND ($2::varchar IS NULL OR user_id = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3 OFFSET $4
+    `, [status, userId || null, limit, offset]);
+
+    return result.rows.map(row => this.format(row));
+  }
+
+  // Сводка по правилам среди непросмотренных активностей
+  async getStats() {
+    const result = await this.db.query(`
+      SELECT reason->>'rule' AS rule, COUNT(*) AS activities, COUNT(DISTINCT user_id) AS users
+      FROM quarantined_activities
+      CROSS JOIN LATERAL jsonb_array_elements(reasons) AS reason
+      WHERE status = $1
+      GROUP BY reason->>'rule'
+      ORDER BY activities DESC
+    `, [QUARANTINE_STATUSES.PENDING]);
+
+    return result.rows.map(row => ({
+      rule: row.rule,
+      activities: parseInt(row.activities),
+      users: parseInt(row.users)
+    }));
+  }
+
+  // Решение по активности принимается один раз: возвращает null, если она уже рассмотрена
+  async review(id, status, { reviewedBy } = {}) {
+    const result = await this.db.query(`
+      UPDATE quarantined_activities
+      SET status = $2, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = $3
+      WHERE id = $1 AND status = $4
+      RETURNING *
+    `, [id, status, reviewedBy || null, QUARANTINE_STATUSES.PENDING]);
+
+    return result.rows.length > 0 ? this.format(result.rows[0]) : null;
+  }
+
+  // Возврат в очередь, если выпущенную активность не удалось записать
+  async reopen(id) {
+    await this.db.query(`
+      UPDATE quarantined_activities
+      SET status = $2, reviewed_at = NULL, reviewed_by = NULL
+      WHERE id = $1
+    `, [id, QUARANTINE_STATUSES.PENDING]);
+  }
+
+  async setActivityId(id, activityId) {
+    await this.db.query('UPDATE quarantined_activities SET activity_id = $2 WHERE id = $1', [id, activityId]);
+  }
+
+  format(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      productId: row.product_id,
+      activityType: row.activity_type,
+      metadata: row.activity_data,
+      sessionId: row.session_id,
+      ip: row.ip_address,
+      score: parseFloat(row.score),
+      reasons: row.reasons,
+      status: row.status,
+      createdAt: row.created_at,
+      reviewedAt: row.reviewed_at,
+      reviewedBy: row.reviewed_by,
+      activityId: row.activity_id
+    };
+  }
+}
+
+module.exports = {
+  ActivityAbuseDetector,
+  ActivityQuarantine,
+  QUARANTINE_STATUSES,
+  RULE_SCORES
+};
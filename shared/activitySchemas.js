@@ -0,0 +1,126 @@
+// Контракт запросов записи активности (/track, /track/batch, импорт):
+// правила полей тела запроса для каждого типа активности
+const { SchemaRegistry } = require('./schemaRegistry');
+
+const activitySchemas = new SchemaRegistry();
+
+const commonFields = {
+  userId: { type: 'string', required: true, minLength: 1 },
+  sessionId: { type: 'string', minLength: 1 },
+  metadata: { type: 'object' }
+};
+
+const productField = { type: 'string', required: true, minLength: 1 };
+
+activitySchemas.register('view', 1, {
+  description: 'Просмотр товара',
+  fields: {
+    ...commonFields,
+    productId: productField
+  }
+});
+
+activitySchemas.register('add_to_cart', 1, {
+  description: 'Добавление товара в корзину',
+  fields: {
+    ...commonFields,
+    productId: productField,
+    'metadata.quantity': { type: 'integer', min: 1 }
+  }
+});
+
+activitySchemas.register('purchase', 1, {
+  description: 'Покупка товара',
+  fields: {
+    ...commonFields,
+    productId: productField,
+    'metadata.quantity': { type: 'integer', required: true, min: 1 },
+    'metadata.price': { type: 'number', required: true, min: 0 },
+    'metadata.currency': { type: 'string', minLength: 3 }
+  }
+});
+
+activitySchemas.register('search', 1, {
+  description: 'Поиск товаров',
+  fields: {
+    ...commonFields,
+    productId: { type: 'string', minLength: 1 },
+    'metadata.query': { type: 'string', required: true, minLength: 1 },
+    'metadata.results': { type: ['array', 'integer'] }
+  }
+});
+
+activitySchemas.register('remove_from_cart', 1, {
+  description: 'Удаление товара из корзины',
+  fields: {
+    ...commonFields,
+    productId: productField,
+    'metadata.quantity': { type: 'integer', min: 1 }
+  }
+});
+
+activitySchemas.register('add_to_wishlist', 1, {
+  description: 'Добавление товара в избранное',
+  fields: {
+    ...commonFields,
+    productId: productField
+  }
+});
+
+activitySchemas.register('rate', 1, {
+  description: 'Оценка товара от 1 до 5',
+  fields: {
+    ...commonFields,
+    productId: productField,
+    'metadata.rating': { type: 'integer', required: true, min: 1, max: 5 },
+    'metadata.review': { type: 'string' }
+  }
+});
+
+activitySchemas.register('recommendation_click', 1, {
+  description: 'Переход по рекомендации',
+  fields: {
+    ...commonFields,
+    productId: productField,
+    'metadata.position': { type: 'integer', min: 0 },
+    'metadata.modelVersion': { type: 'string', minLength: 1 }
+  }
+});
+
+const ACTIVITY_TYPES = activitySchemas.list().map(schema => schema.eventType);
+
+// Веса типов активности по умолчанию - для начальной модели Recommendation Engine
+// и для обучения в Model Training Service. Для rate вес умножается на отклонение оценки от 3
+const DEFAULT_ACTIVITY_WEIGHTS = Object.freeze({
+  view: 1.0,
+  add_to_cart: 3.0,
+  purchase: 5.0,
+  search: 0.5,
+  remove_from_cart: -1.5,
+  add_to_wishlist: 1.5,
+  rate: 2.0,
+  recommendation_click: 1.5
+});
+
+// Возвращает ошибки [{ field, message }]; пустой список означает валидную активность
+function validateActivity(activityData) {
+  if (!activityData || typeof activityData !== 'object' || Array.isArray(activityData)) {
+    return [{ field: null, message: 'activity must be an object' }];
+  }
+
+  if (!activitySchemas.has(activityData.activityType)) {
+    return [{
+      field: 'activityType',
+      message: `activityType must be one of: ${ACTIVITY_TYPES.join(', ')}`
+    }];
+  }
+
+  return activitySchemas.validateFields(activityData.activityType, activityData);
+}
+
+module.exports = {
+  activitySchemas,
+  ACTIVITY_TYPES,
+  DEFAULT_ACTIVITY_WEIGHTS,
+  validateActivity
+};
@@ -0,0 +1,44 @@
+// Доступ к административным маршрутам по токену: ADMIN_API_TOKENS="имя:токен,имя:токен".
+// Запрос передает заголовок Authorization: Bearer <токен>, имя администратора берется
+// из совпавшего токена. Без настроенных токенов административные маршруты недоступны
+const crypto = require('crypto');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function parseAdminTokens(value = '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error('ADMIN_API_TOKENS entries must have the form name:token');
+      }
+      return { name: entry.slice(0, separator), digest: digest(entry.slice(separator + 1)) };
+    });
+}
+
+function requireAdmin(options = {}) {
+  const tokens = parseAdminTokens(options.tokens !== undefined ? options.tokens : process.env.ADMIN_API_TOKENS);
+
+  return (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    // Сравнение хешей постоянного размера не раскрывает токен по времени ответа
+    const admin = match && tokens.find(token => crypto.timingSafeEqual(token.digest, digest(match[1])));
+
+    if (!admin) {
+      return res.status(401).json({ success: false, error: 'Admin token required' });
+    }
+
+    req.admin = { name: admin.name };
+    next();
+  };
+}
+
+module.exports = {
+  requireAdmin,
+  parseAdminTokens
+};
@@ -0,0 +1,97 @@
+// Дерево категорий товаров: products.category ссылается на categories.id.
+// Категория, которой нет в дереве, считается корневой без подкатегорий
+const { pool } = require('../config/database');
+
+class CategoryTree {
+  constructor(rows = []) {
+    this.categories = new Map(rows.map(row => [row.id, {
+      id: row.id,
+      name: row.name,
+      parentId: row.parent_id
+    }]));
+  }
+
+  static async load(db = pool) {
+    const result = await db.query('SELECT id, name, parent_id FROM categories ORDER BY id');
+    return new CategoryTree(result.rows);
+  }
+
+  has(categoryId) {
+    return this.categories.has(categoryId);
+  }
+
+  // Категория и ее предки от ближайшего к корню
+  path(categoryId) {
+    const path = [];
+    let id = categoryId;
+
+    while (id && !path.includes(id)) {
+      path.push(id);
+      const category = this.categories.get(id);
+      id = category ? category.parentId : null;
+    }
+    return path;
+  }
+
+  // Категория и все ее подкатегории
+  subtree(categoryId) {
+    const ids = [categoryId];
+    for (let i = 0; i < ids.length; i++) {
+      for (const category of this.categories.values()) {
+        if (category.parentId === ids[i] && !ids.includes(category.id)) {
+          ids.push(category.id);
+        }
+      }
+    }
+    return ids;
+  }
+
+  // Оценки листовых категорий, суммированные вверх по дереву
+  rollUp(scores) {
+    const rolled = {};
+    for (const [categoryId, score] of Object.entries(scores)) {
+      for (const id of this.path(categoryId)) {
+        rolled[id] = (rolled[id] || 0) + score;
+      }
+    }
+    return rolled;
+  }
+
+  toJSON() {
+    const nodes = new Map(Array.from(this.categories.values()).map(c => [c.id, { ...c, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.parentId);
+      (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+  }
+}
+
+// Дерево меняется редко, поэтому сервисы перечитывают его не чаще раза в ttlMs
+class CategoryTreeCache {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    this.ttlMs = options.ttlMs || parseInt(process.env.CATEGORY_TREE_CACHE_MS) || 60000;
+    this.tree = null;
+    this.loadedAt = 0;
+  }
+
+  async get() {
+    if (!this.tree || Date.now() - this.loadedAt > this.ttlMs) {
+      this.tree = await CategoryTree.load(this.db);
+      this.loadedAt = Date.now();
+    }
+    return this.tree;
+  }
+
+  invalidate() {
+    this.tree = null;
+  }
+}
+
+module.exports = {
+  CategoryTree,
+  CategoryTreeCache
+};
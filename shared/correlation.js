@@ -0,0 +1,53 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+// Контекст трассировки: correlationId связывает все шаги одного пользовательского запроса,
+// causationId указывает на событие, обработка которого привела к текущему действию
+const CORRELATION_HEADER = 'X-Correlation-Id';
+
+const storage = new AsyncLocalStorage();
+
+function getCorrelationContext() {
+  return storage.getStore() || null;
+}
+
+function runWithCorrelation(context, fn) {
+  return storage.run(context, fn);
+}
+
+function generateCorrelationId() {
+  return crypto.randomUUID();
+}
+
+// Express middleware: принимает или создает X-Correlation-Id и возвращает его в ответе.
+// Подключается после express.json(), иначе контекст теряется при чтении тела запроса
+function correlationMiddleware() {
+  return (req, res, next) => {
+    const correlationId = req.get(CORRELATION_HEADER) || generateCorrelationId();
+    req.correlationId = correlationId;
+    res.set(CORRELATION_HEADER, correlationId);
+
+    console.log(`[${correlationId}] ${req.method} ${req.originalUrl}`);
+    runWithCorrelation({ correlationId, causationId: null }, next);
+  };
+}
+
+// Передача correlationId во все исходящие запросы axios
+function attachCorrelationToAxios(axiosInstance) {
+  axiosInstance.interceptors.request.use((config) => {
+    const context = getCorrelationContext();
+    if (context && context.correlationId) {
+      config.headers[CORRELATION_HEADER] = context.correlationId;
+    }
+    return config;
+  });
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  getCorrelationContext,
+  runWithCorrelation,
+  generateCorrelationId,
+  correlationMiddleware,
+  attachCorrelationToAxios
+};
@@ -0,0 +1,117 @@
+const { pool } = require('../config/database');
+
+const DEAD_LETTER_STATUS = {
+  PENDING: 'pending',
+  REPLAYED: 'replayed',
+  DISCARDED: 'discarded'
+};
+
+// Хранилище событий, которые обработчик сервиса не смог обработать после всех повторов
+class DeadLetterQueue {
+  constructor(options = {}) {
+    this.serviceName = options.serviceName;
+    this.db = options.db || pool;
+  }
+
+  async add({ subscriber, eventType, event, error, attempts }) {
+    const query = `
+      INSERT INTO dead_letter_events
+        (service_name, event_id, event_type, subscriber_name, payload, error_message, error_stack, attempts)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `;
+
+    const result = await this.db.query(query, [
+      this.serviceName,
+      event.id,
+      eventType,
+      subscriber || null,
+      JSON.stringify(event),
+      error ? error.message : null,
+      error ? error.stack : null,
+      attempts
+    ]);
+
+    console.log(`Event ${event.id} (${eventType}) moved to dead letter queue: #${result.rows[0].id}`);
+    return result.rows[0].id;
+  }
+
+  async list({ status, eventType, limit = 50, offset = 0 } = {}) {
+    const conditions = ['service_name = $1'];
+    const params = [this.serviceName];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    params.push(limit, offset);
+    const query = `
+      SELECT * FROM dead_letter_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `;
+
+    const result = await this.db.query(query, params);
+    return result.rows.map(row => this.formatEntry(row));
+  }
+
+  async get(id) {
+    const result = await this.db.query(
+      'SELECT * FROM dead_letter_events WHERE id = $1 AND service_name = $2',
+      [id, this.serviceName]
+    );
+    return result.rows.length > 0 ? this.formatEntry(result.rows[0]) : null;
+  }
+
+  async markReplayed(id) {
+    await this.updateStatus(id, DEAD_LETTER_STATUS.REPLAYED);
+  }
+
+  async markDiscarded(id) {
+    await this.updateStatus(id, DEAD_LETTER_STATUS.DISCARDED);
+  }
+
+  async recordFailedReplay(id, error) {
+    await this.db.query(`
+      UPDATE dead_letter_events
+      SET attempts = attempts + 1, error_message = $2, error_stack = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND service_name = $4
+    `, [id, error.message, error.stack, this.serviceName]);
+  }
+
+  async updateStatus(id, status) {
+    await this.db.query(`
+      UPDATE dead_letter_events
+      SET status = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND service_name = $3
+    `, [id, status, this.serviceName]);
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      serviceName: row.service_name,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      subscriber: row.subscriber_name,
+      payload: row.payload,
+      errorMessage: row.error_message,
+      errorStack: row.error_stack,
+      attempts: row.attempts,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = {
+  DeadLetterQueue,
+  DEAD_LETTER_STATUS
+};
@@ -1,27 +1,49 @@
-const redis = require('redis');
 const { Event } = require('./events');
+const { schemaRegistry } = require('./eventSchemas');
+const { createTransport } = require('./transports');
+const { runWithCorrelation } = require('./correlation');
+const { isPattern, matchesPattern } = require('./eventPattern');
 
 class EventBus {
-  constructor() {
-    this.publisher = null;
-    this.subscribers = new Map();
+  constructor(options = {}) {
+    // Подписки сервиса; на один тип или шаблон может быть несколько обработчиков
+    this.subscriptions = [];
     this.connected = false;
+    this.serviceName = options.serviceName || process.env.SERVICE_NAME || 'default-service';
+
+    // Транспорт выбирается конфигурацией: redis (Pub/Sub или Streams в durable-режиме) или memory
+    this.transport = options.transport || createTransport(
+      options.transportName || process.env.EVENT_BUS_TRANSPORT || 'redis',
+      {
+        serviceName: this.serviceName,
+        durable: options.durable !== undefined
+          ? options.durable
+          : process.env.EVENT_BUS_DURABLE === 'true',
+        ...options.transportOptions
+      }
+    );
+
+    // Политика повторов по умолчанию; может быть переопределена для каждой подписки
+    this.retryPolicy = {
+      maxAttempts: parseInt(process.env.EVENT_RETRY_MAX_ATTEMPTS) || 3,
+      initialDelay: parseInt(process.env.EVENT_RETRY_DELAY_MS) || 500,
+      multiplier: 2,
+      maxDelay: 30000,
+      ...options.retryPolicy
+    };
+    this.deadLetterQueue = options.deadLetterQueue || null;
+    this.schemaRegistry = options.schemaRegistry || schemaRegistry;
+    this.eventStore = options.eventStore || null;
+    this.idempotencyStore = options.idempotencyStore || null;
   }
 
   async connect() {
     try {
-      const redisUrl = `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
-      console.log('Connecting to Redis at:', redisUrl);
-
-      this.publisher = redis.createClient({
-        url: redisUrl
-      });
-
-      await this.publisher.connect();
+      await this.transport.connect();
       this.connected = true;
-      console.log('EventBus connected to Redis');
+      console.log(`EventBus connected (transport: ${this.transport.name})`);
     } catch (error) {
-      console.error('Failed to connect EventBus to Redis:', error);
+      console.error('Failed to connect EventBus:', error);
       throw error;
     }
   }
@@ -32,72 +54,316 @@ class EventBus {
     }
 
     try {
-      const channel = `events:${event.type}`;
+      // Событие вне контекста запроса начинает новую цепочку
+      if (!event.correlationId) {
+        event.correlationId = event.id;
+      }
+
       // Проверяем, есть ли метод toJSON, иначе используем сам объект
       const eventData = event.toJSON ? event.toJSON() : event;
+      this.schemaRegistry.assertValid(event.type, eventData.data, this.getSchemaVersion(eventData));
       const message = JSON.stringify(eventData);
 
-      await this.publisher.publish(channel, message);
-      console.log(`Event published: ${event.type} to channel: ${channel}`);
+      // Событие сначала попадает в журнал, чтобы доставленное событие всегда было в истории
+      if (this.eventStore) {
+        await this.eventStore.append(eventData);
+      }
+
+      await this.transport.publish(event.type, message);
     } catch (error) {
       console.error('Failed to publish event:', error);
       throw error;
     }
   }
 
-  async subscribe(eventType, handler) {
+  // pattern - тип события или glob-шаблон (например, User*).
+  // options.name - имя подписчика для идемпотентности, dead letter queue и replay.
+  // options.broadcast - событие получает каждый экземпляр сервиса, а не один из них
+  // (сброс кэшей в памяти); отметки об обработке для таких подписчиков не ведутся
+  async subscribe(pattern, handler, options = {}) {
     if (!this.connected) {
       throw new Error('EventBus not connected');
     }
 
     try {
-      const redisUrl = `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
-      const subscriber = redis.createClient({
-        url: redisUrl
-      });
-
-      await subscriber.connect();
-
-      const channel = `events:${eventType}`;
-      await subscriber.subscribe(channel, (message) => {
-        try {
-          const eventData = JSON.parse(message);
-          const event = Event.fromJSON(eventData);
-          handler(event);
-        } catch (error) {
-          console.error('Failed to process event:', error);
+      const samePattern = this.subscriptions.filter(s => s.pattern === pattern);
+      const name = options.name || (samePattern.length === 0 ? pattern : `${pattern}#${samePattern.length + 1}`);
+
+      if (this.subscriptions.some(s => s.name === name)) {
+        throw new Error(`Subscriber name "${name}" is already in use`);
+      }
+
+      const subscription = {
+        name,
+        pattern,
+        handler,
+        broadcast: Boolean(options.broadcast),
+        retryPolicy: { ...this.retryPolicy, ...options.retry }
+      };
+
+      // Транспорт подписывается на шаблон один раз для каждого способа доставки,
+      // обработчики мультиплексируются здесь
+      const deliveryKey = this.getDeliveryKey(subscription);
+      if (!this.subscriptions.some(s => this.getDeliveryKey(s) === deliveryKey)) {
+        if (this.isBroadcastDelivery(subscription)) {
+          await this.transport.subscribeBroadcast(pattern, (message) => this.receive(pattern, message, true));
+        } else {
+          await this.transport.subscribe(pattern, (message) => this.receive(pattern, message));
         }
-      });
+      }
 
-      this.subscribers.set(eventType, subscriber);
-      console.log(`Subscribed to channel: ${channel}`);
+      this.subscriptions.push(subscription);
+      console.log(`Subscriber "${name}" registered for ${pattern}`);
     } catch (error) {
       console.error('Failed to subscribe to event:', error);
       throw error;
     }
   }
 
-  async unsubscribe(eventType) {
-    if (this.subscribers.has(eventType)) {
-      const subscriber = this.subscribers.get(eventType);
-      await subscriber.quit();
-      this.subscribers.delete(eventType);
-      console.log(`Unsubscribed from: ${eventType}`);
+  // Транспорт без отдельного широковещательного режима (Pub/Sub, memory) и так доставляет
+  // каждое событие всем экземплярам сервиса
+  isBroadcastDelivery(subscription) {
+    return subscription.broadcast && typeof this.transport.subscribeBroadcast === 'function';
+  }
+
+  getDeliveryKey(subscription) {
+    return this.isBroadcastDelivery(subscription) ? `broadcast:${subscription.pattern}` : subscription.pattern;
+  }
+
+  async receive(pattern, message, broadcast = false) {
+    let event;
+
+    try {
+      event = Event.fromJSON(JSON.parse(message));
+    } catch (error) {
+      // Некорректное сообщение никогда не будет обработано, поэтому не возвращаем ошибку транспорту
+      console.error(`Dropping malformed ${pattern} message:`, error);
+      return;
+    }
+
+    // Ошибка одного обработчика не мешает доставке остальным; транспорт получит первую из них
+    let deliveryError = null;
+    const subscriptions = this.subscriptions
+      .filter(s => s.pattern === pattern && this.isBroadcastDelivery(s) === broadcast);
+
+    for (const subscription of subscriptions) {
+      try {
+        await this.handleEvent(subscription, event);
+      } catch (error) {
+        deliveryError = deliveryError || error;
+      }
+    }
+
+    if (deliveryError) {
+      throw deliveryError;
     }
   }
 
-  async disconnect() {
-    for (const [eventType, subscriber] of this.subscribers) {
-      await subscriber.quit();
+  // Событие от сервиса с более новой схемой проверяется по последней известной версии:
+  // добавленные поля не мешают обработке старым кодом
+  getSchemaVersion(event) {
+    const latestVersion = this.schemaRegistry.getLatestVersion(event.type);
+    const version = event.schemaVersion || 1;
+    return latestVersion ? Math.min(version, latestVersion) : version;
+  }
+
+  // Вызов обработчика с повторами и экспоненциальной задержкой.
+  // После исчерпания попыток событие уходит в dead letter queue.
+  // force - обработать событие, даже если подписчик его уже обработал (пересборка данных)
+  async handleEvent(subscription, event, { force = false } = {}) {
+    const { maxAttempts, initialDelay, multiplier, maxDelay } = subscription.retryPolicy;
+    let lastError = null;
+
+    // Событие, нарушающее контракт, не станет валидным при повторе
+    try {
+      this.schemaRegistry.assertValid(event.type, event.data, this.getSchemaVersion(event));
+    } catch (error) {
+      console.error(`Rejected event ${event.id}:`, error.message);
+      await this.sendToDeadLetter(subscription, event, error, 0);
+      return;
+    }
+
+    if (!force && await this.isProcessed(subscription, event)) {
+      console.log(`Skipping duplicate event ${event.id} for ${subscription.name}`);
+      return;
+    }
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await this.invokeHandler(subscription, event);
+        lastError = null;
+        break;
+      } catch (error) {
+        lastError = error;
+        console.error(`[${event.correlationId}] Handler for ${event.type} failed (attempt ${attempt}/${maxAttempts}):`, error.message);
+
+        if (attempt < maxAttempts) {
+          const delay = Math.min(initialDelay * Math.pow(multiplier, attempt - 1), maxDelay);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
     }
-    this.subscribers.clear();
 
-    if (this.publisher) {
-      await this.publisher.quit();
+    if (lastError) {
+      await this.sendToDeadLetter(subscription, event, lastError, maxAttempts);
+      return;
+    }
+
+    await this.markProcessed(subscription, event);
+  }
+
+  // События, опубликованные обработчиком, получают correlationId исходного события
+  // и causationId, равный его id
+  invokeHandler(subscription, event) {
+    const context = {
+      correlationId: event.correlationId || event.id,
+      causationId: event.id
+    };
+    return runWithCorrelation(context, () => subscription.handler(event));
+  }
+
+  getConsumerKey(subscription) {
+    return `${this.serviceName}:${subscription.name}`;
+  }
+
+  async isProcessed(subscription, event) {
+    if (!this.idempotencyStore || subscription.broadcast) return false;
+
+    try {
+      return await this.idempotencyStore.isProcessed(this.getConsumerKey(subscription), event.id);
+    } catch (error) {
+      // Без хранилища предпочитаем повторную обработку потере события
+      console.error(`Idempotency check failed for event ${event.id}:`, error.message);
+      return false;
     }
+  }
+
+  async markProcessed(subscription, event) {
+    if (!this.idempotencyStore || subscription.broadcast) return;
+
+    try {
+      await this.idempotencyStore.markProcessed(this.getConsumerKey(subscription), event.id);
+    } catch (error) {
+      console.error(`Failed to mark event ${event.id} as processed:`, error.message);
+    }
+  }
+
+  async sendToDeadLetter(subscription, event, error, attempts) {
+    if (!this.deadLetterQueue) {
+      console.error(`Event ${event.id} (${event.type}) dropped after ${attempts} attempts: no dead letter queue configured`);
+      return;
+    }
+
+    // Ошибка записи пробрасывается: транспорт с подтверждениями доставит сообщение повторно
+    await this.deadLetterQueue.add({
+      subscriber: subscription.name,
+      eventType: event.type,
+      event: event.toJSON(),
+      error,
+      attempts
+    });
+  }
+
+  // Повторная доставка события из dead letter queue текущему обработчику сервиса
+  async replayDeadLetter(id) {
+    if (!this.deadLetterQueue) {
+      throw new Error('Dead letter queue is not configured');
+    }
+
+    const entry = await this.deadLetterQueue.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    const subscription = this.subscriptions.find(s => s.name === entry.subscriber)
+      || this.subscriptions.find(s => matchesPattern(s.pattern, entry.eventType));
+    if (!subscription) {
+      throw new Error(`No active subscription for ${entry.eventType}`);
+    }
+
+    try {
+      const event = Event.fromJSON(entry.payload);
+      await this.invokeHandler(subscription, event);
+      await this.markProcessed(subscription, event);
+      await this.deadLetterQueue.markReplayed(id);
+      console.log(`Dead letter #${id} (${entry.eventType}) replayed successfully`);
+      return { replayed: true };
+    } catch (error) {
+      await this.deadLetterQueue.recordFailedReplay(id, error);
+      console.error(`Dead letter #${id} replay failed:`, error);
+      return { replayed: false, error: error.message };
+    }
+  }
+
+  // Повторная доставка событий из журнала подписчикам сервиса:
+  // дозаполнение нового подписчика и пересборка производных данных.
+  // Уже обработанные события пропускаются, если не указан force
+  async replay(filter = {}, { subscriber, force = false } = {}) {
+    if (!this.eventStore) {
+      throw new Error('Event store is not configured');
+    }
+
+    const subscriptions = this.subscriptions.filter(s => !subscriber || s.name === subscriber);
+    if (subscriber && subscriptions.length === 0) {
+      throw new Error(`Unknown subscriber: ${subscriber}`);
+    }
+
+    // Для точных типов фильтрация выполняется в запросе, шаблоны проверяются при доставке
+    let types = filter.types && filter.types.length > 0 ? filter.types : null;
+    if (!subscriptions.some(s => isPattern(s.pattern))) {
+      const subscribedTypes = subscriptions.map(s => s.pattern);
+      types = types ? types.filter(type => subscribedTypes.includes(type)) : subscribedTypes;
+      if (types.length === 0) {
+        return 0;
+      }
+    }
+
+    const count = await this.eventStore.replay({ ...filter, types }, async (event) => {
+      for (const subscription of subscriptions) {
+        if (matchesPattern(subscription.pattern, event.type)) {
+          await this.handleEvent(subscription, event, { force });
+        }
+      }
+    });
+
+    console.log(`Replayed ${count} events to ${subscriber || 'all subscribers'}`);
+    return count;
+  }
+
+  // Удаляет только переданный обработчик; без handler - все обработчики шаблона
+  async unsubscribe(pattern, handler) {
+    const removed = this.subscriptions.filter(s => s.pattern === pattern && (!handler || s.handler === handler));
+    if (removed.length === 0) return;
+
+    this.subscriptions = this.subscriptions.filter(s => !removed.includes(s));
+
+    // Транспорт отписывается от способов доставки, для которых не осталось обработчиков
+    const deliveries = new Map(removed.map(s => [this.getDeliveryKey(s), s]));
+    for (const [deliveryKey, subscription] of deliveries) {
+      if (this.subscriptions.some(s => this.getDeliveryKey(s) === deliveryKey)) continue;
+
+      if (this.isBroadcastDelivery(subscription)) {
+        await this.transport.unsubscribeBroadcast(pattern);
+      } else {
+        await this.transport.unsubscribe(pattern);
+      }
+    }
+    console.log(`Unsubscribed ${removed.map(s => s.name).join(', ')} from: ${pattern}`);
+  }
+
+  // Ожидание доставки опубликованных событий (поддерживается in-process транспортом)
+  async drain() {
+    if (this.transport.drain) {
+      await this.transport.drain();
+    }
+  }
+
+  async disconnect() {
+    await this.transport.disconnect();
+    this.subscriptions = [];
     this.connected = false;
     console.log('EventBus disconnected');
   }
 }
 
-module.exports = EventBus;
\ No newline at end of file
+module.exports = EventBus;
@@ -0,0 +1,31 @@
+// Шаблоны подписки на типы событий в стиле glob (как в Redis PSUBSCRIBE):
+// * - любая последовательность символов, ? - один символ. Например, User*
+const cache = new Map();
+
+function isPattern(value) {
+  return /[*?]/.test(value);
+}
+
+function toRegExp(pattern) {
+  if (!cache.has(pattern)) {
+    const source = pattern
+      .split('')
+      .map((char) => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    cache.set(pattern, new RegExp(`^${source}$`));
+  }
+  return cache.get(pattern);
+}
+
+function matchesPattern(pattern, eventType) {
+  return isPattern(pattern) ? toRegExp(pattern).test(eventType) : pattern === eventType;
+}
+
+module.exports = {
+  isPattern,
+  matchesPattern
+};
@@ -0,0 +1,172 @@
+const express = require('express');
+const { DEAD_LETTER_STATUS } = require('./deadLetterQueue');
+
+const MAX_SERIAL_ID = 2147483647;
+
+// Неотрицательное целое из параметра запроса: defaultValue, если параметр не передан,
+// null - если передано не число
+function parseCount(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  return /^\d+$/.test(value) ? parseInt(value) : null;
+}
+
+function invalidCount(res, name) {
+  return res.status(400).json({ success: false, error: `${name} must be a non-negative integer` });
+}
+
+// Служебные маршруты EventBus, подключаются сервисами по пути /events
+function createEventRoutes({ eventBus, deadLetterQueue }) {
+  const router = express.Router();
+  const { schemaRegistry, eventStore } = eventBus;
+
+  // Зарегистрированные контракты событий
+  router.get('/schemas', (req, res) => {
+    res.json({ success: true, schemas: schemaRegistry.list() });
+  });
+
+  router.get('/schemas/:eventType', (req, res) => {
+    const schema = schemaRegistry.list().find(s => s.eventType === req.params.eventType);
+    if (!schema) {
+      return res.status(404).json({ success: false, error: 'Schema not found' });
+    }
+    res.json({ success: true, schema });
+  });
+
+  router.get('/subscribers', (req, res) => {
+    const subscribers = eventBus.subscriptions.map(s => ({
+      name: s.name,
+      pattern: s.pattern
+    }));
+    res.json({ success: true, subscribers });
+  });
+
+  if (eventStore) {
+    // Журнал опубликованных событий
+    router.get('/history', async (req, res) => {
+      const { type, aggregateId, correlationId, from, to } = req.query;
+      const after = parseCount(req.query.after, 0);
+      const limit = parseCount(req.query.limit, 100);
+      if (after === null) return invalidCount(res, 'after');
+      if (limit === null) return invalidCount(res, 'limit');
+
+      try {
+        const entries = await eventStore.query(
+          { types: type ? type.split(',') : null, aggregateId, correlationId, from, to },
+          { afterPosition: after, limit: Math.min(limit, 1000) }
+        );
+        res.json({ success: true, events: entries });
+      } catch (error) {
+        console.error('Error reading event history:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Повторная доставка диапазона событий подписчикам сервиса
+    router.post('/replay', async (req, res) => {
+      const { types, aggregateId, from, to, subscriber, force = false } = req.body;
+
+      try {
+        const replayed = await eventBus.replay(
+          { types, aggregateId, from, to },
+          { subscriber, force: force === true }
+        );
+        res.json({ success: true, replayed });
+      } catch (error) {
+        console.error('Error replaying events:', error);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  // Маршруты dead letter queue доступны только сервисам-подписчикам
+  if (!deadLetterQueue) {
+    return router;
+  }
+
+  // id записи dead letter queue - SERIAL; другие значения не доходят до запроса к БД
+  router.param('id', (req, res, next, id) => {
+    if (!/^\d+$/.test(id) || parseInt(id) > MAX_SERIAL_ID) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+    next();
+  });
+
+  // Список событий в dead letter queue сервиса
+  router.get('/dead-letters', async (req, res) => {
+    const { status = DEAD_LETTER_STATUS.PENDING, eventType } = req.query;
+    const limit = parseCount(req.query.limit, 50);
+    const offset = parseCount(req.query.offset, 0);
+    if (limit === null) return invalidCount(res, 'limit');
+    if (offset === null) return invalidCount(res, 'offset');
+
+    try {
+      const deadLetters = await deadLetterQueue.list({
+        status: status === 'all' ? null : status,
+        eventType,
+        limit,
+        offset
+      });
+      res.json({ success: true, deadLetters });
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/dead-letters/:id', async (req, res) => {
+    try {
+      const deadLetter = await deadLetterQueue.get(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({ success: false, error: 'Dead letter not found' });
+      }
+      res.json({ success: true, deadLetter });
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Повторная обработка события текущими обработчиками сервиса
+  router.post('/dead-letters/:id/replay', async (req, res) => {
+    try {
+      const deadLetter = await deadLetterQueue.get(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({ success: false, error: 'Dead letter not found' });
+      }
+      if (deadLetter.status !== DEAD_LETTER_STATUS.PENDING) {
+        return res.status(409).json({
+          success: false,
+          error: `Dead letter is already ${deadLetter.status}`
+        });
+      }
+
+      const result = await eventBus.replayDeadLetter(deadLetter.id);
+      res.json({ success: result.replayed, id: deadLetter.id, ...result });
+    } catch (error) {
+      console.error('Error replaying dead letter:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Отказ от обработки: событие остается в таблице для аудита
+  router.delete('/dead-letters/:id', async (req, res) => {
+    try {
+      const deadLetter = await deadLetterQueue.get(req.params.id);
+      if (!deadLetter) {
+        return res.status(404).json({ success: false, error: 'Dead letter not found' });
+      }
+
+      await deadLetterQueue.markDiscarded(deadLetter.id);
+      res.json({ success: true, id: deadLetter.id, status: DEAD_LETTER_STATUS.DISCARDED });
+    } catch (error) {
+      console.error('Error discarding dead letter:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEventRoutes
+};
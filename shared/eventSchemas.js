@@ -0,0 +1,247 @@
+// Контракты событий системы: схема payload для каждого типа и версии
+const { SchemaRegistry } = require('./schemaRegistry');
+const { EVENT_TYPES } = require('./events');
+
+const schemaRegistry = new SchemaRegistry();
+
+const userActivityFields = {
+  userId: { type: 'string', required: true, minLength: 1 },
+  timestamp: { type: 'date', required: true },
+  sessionId: { type: 'string' },
+  metadata: { type: 'object' }
+};
+
+schemaRegistry.register(EVENT_TYPES.USER_VIEWED_PRODUCT, 1, {
+  description: 'Пользователь просмотрел товар',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_ADDED_TO_CART, 1, {
+  description: 'Пользователь добавил товар в корзину',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 },
+    quantity: { type: 'integer', required: true, min: 1 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_PURCHASED_PRODUCT, 1, {
+  description: 'Пользователь купил товар',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 },
+    quantity: { type: 'integer', required: true, min: 1 },
+    price: { type: 'number', required: true, min: 0 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_PURCHASED_PRODUCT, 2, {
+  description: 'Пользователь купил товар (с валютой и общей суммой)',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 },
+    quantity: { type: 'integer', required: true, min: 1 },
+    price: { type: 'number', required: true, min: 0 },
+    currency: { type: 'string', required: true, minLength: 3 },
+    totalAmount: { type: 'number', required: true, min: 0 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_SEARCHED_PRODUCTS, 1, {
+  description: 'Пользователь искал товары',
+  fields: {
+    ...userActivityFields,
+    query: { type: 'string', required: true, minLength: 1 },
+    results: { type: ['array', 'integer'] }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_REMOVED_FROM_CART, 1, {
+  description: 'Пользователь удалил товар из корзины',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 },
+    quantity: { type: 'integer', required: true, min: 1 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_ADDED_TO_WISHLIST, 1, {
+  description: 'Пользователь добавил товар в избранное',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_RATED_PRODUCT, 1, {
+  description: 'Пользователь оценил товар',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 },
+    rating: { type: 'integer', required: true, min: 1, max: 5 }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_CLICKED_RECOMMENDATION, 1, {
+  description: 'Пользователь перешел по рекомендации',
+  fields: {
+    ...userActivityFields,
+    productId: { type: 'string', required: true, minLength: 1 },
+    position: { type: 'integer', min: 0 },
+    modelVersion: { type: 'string' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_REJECTED_RECOMMENDATION, 1, {
+  description: 'Пользователь отказался от рекомендации: товар или категория исключаются из выдачи',
+  fields: {
+    userId: { type: 'string', required: true, minLength: 1 },
+    action: { type: 'string', required: true, enum: ['dismiss', 'not_interested', 'hide_category'] },
+    productId: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 },
+    reason: { type: 'string' },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_IDENTITY_MERGED, 1, {
+  description: 'Гостевой id объединен с зарегистрированным пользователем',
+  fields: {
+    guestId: { type: 'string', required: true, minLength: 1 },
+    userId: { type: 'string', required: true, minLength: 1 },
+    activitiesMoved: { type: 'integer', required: true, min: 0 },
+    sessionsMoved: { type: 'integer', required: true, min: 0 },
+    recommendationsMoved: { type: 'integer', required: true, min: 0 },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_DATA_ERASED, 1, {
+  description: 'Данные пользователя удалены по запросу (право на забвение)',
+  fields: {
+    userId: { type: 'string', required: true, minLength: 1 },
+    aliasIds: { type: 'array', required: true },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.SESSION_STARTED, 1, {
+  description: 'Началась сессия пользователя',
+  fields: {
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    userId: { type: 'string', required: true, minLength: 1 },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.SESSION_ENDED, 1, {
+  description: 'Сессия пользователя завершена',
+  fields: {
+    sessionId: { type: 'string', required: true, minLength: 1 },
+    userId: { type: 'string', required: true, minLength: 1 },
+    startedAt: { type: 'date', required: true },
+    endedAt: { type: 'date', required: true },
+    durationSeconds: { type: 'integer', required: true, min: 0 },
+    activityCount: { type: 'integer', required: true, min: 0 },
+    productsTouched: { type: 'array', required: true },
+    outcome: { type: 'string', required: true, enum: ['purchased', 'added_to_cart', 'browsed'] },
+    reason: { type: 'string', required: true },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+const productSnapshotFields = {
+  productId: { type: 'string', required: true, minLength: 1 },
+  product: { type: 'object', required: true },
+  'product.name': { type: 'string', required: true, minLength: 1 },
+  'product.category': { type: 'string' },
+  'product.price': { type: 'number', min: 0 },
+  'product.attributes': { type: 'object' },
+  'product.tags': { type: 'array' },
+  'product.stock': { type: 'integer', min: 0 },
+  'product.availability': { type: 'string', enum: ['in_stock', 'low_stock', 'out_of_stock'] },
+  'product.status': { type: 'string', required: true, enum: ['active', 'retired'] },
+  timestamp: { type: 'date', required: true }
+};
+
+schemaRegistry.register(EVENT_TYPES.PRODUCT_CREATED, 1, {
+  description: 'Товар добавлен в каталог',
+  fields: productSnapshotFields
+});
+
+schemaRegistry.register(EVENT_TYPES.PRODUCT_UPDATED, 1, {
+  description: 'Изменены данные товара',
+  fields: {
+    ...productSnapshotFields,
+    changes: { type: 'array', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.PRODUCT_RETIRED, 1, {
+  description: 'Товар выведен из каталога и больше не рекомендуется',
+  fields: {
+    productId: { type: 'string', required: true, minLength: 1 },
+    reason: { type: 'string' },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.INVENTORY_CHANGED, 1, {
+  description: 'Изменились остаток или наличие товара; stock: null - остаток не отслеживается',
+  fields: {
+    productId: { type: 'string', required: true, minLength: 1 },
+    stock: { type: 'integer', min: 0 },
+    availability: { type: 'string', required: true, enum: ['in_stock', 'low_stock', 'out_of_stock'] },
+    previousStock: { type: 'integer', min: 0 },
+    previousAvailability: { type: 'string', enum: ['in_stock', 'low_stock', 'out_of_stock'] },
+    reason: { type: 'string' },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.RECOMMENDATION_GENERATED, 1, {
+  description: 'Сгенерированы или доставлены рекомендации',
+  fields: {
+    userId: { type: 'string', required: true, minLength: 1 },
+    recommendations: { type: 'array', required: true },
+    model: { type: 'string', required: true },
+    timestamp: { type: 'date', required: true },
+    metadata: { type: 'object' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.RECOMMENDATION_MODEL_UPDATED, 1, {
+  description: 'Обновлена модель рекомендаций',
+  fields: {
+    modelId: { type: 'string', required: true },
+    version: { type: 'string', required: true },
+    metrics: { type: 'object', required: true },
+    timestamp: { type: 'date', required: true },
+    metadata: { type: 'object' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.MODEL_TRAINING_STARTED, 1, {
+  description: 'Началось обучение модели',
+  fields: {
+    jobId: { type: 'string', required: true },
+    config: { type: 'object' },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.MODEL_TRAINING_FAILED, 1, {
+  description: 'Обучение модели завершилось ошибкой',
+  fields: {
+    jobId: { type: 'string', required: true },
+    error: { type: 'string', required: true },
+    timestamp: { type: 'date', required: true }
+  }
+});
+
+module.exports = {
+  schemaRegistry
+};
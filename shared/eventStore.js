@@ -0,0 +1,114 @@
+const { pool } = require('../config/database');
+const { Event } = require('./events');
+
+// Журнал всех опубликованных событий: аудит и восстановление производных данных
+class EventStore {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    this.serviceName = options.serviceName || null;
+    this.batchSize = options.batchSize || 500;
+  }
+
+  // Payload хранится в исходной версии схемы, миграция выполняется upcaster'ами при чтении
+  async append(eventData) {
+    // Повторная публикация (outbox, retry) не создает дубликатов
+    await this.db.query(`
+      INSERT INTO events (id, type, schema_version, aggregate_id, data, timestamp, source_service, correlation_id, causation_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (id) DO NOTHING
+    `, [
+      eventData.id,
+      eventData.type,
+      eventData.schemaVersion || 1,
+      eventData.aggregateId,
+      JSON.stringify(eventData.data),
+      eventData.timestamp || new Date(),
+      this.serviceName,
+      eventData.correlationId || null,
+      eventData.causationId || null
+    ]);
+  }
+
+  buildFilter({ types, aggregateId, correlationId, from, to }, params) {
+    const conditions = [];
+
+    if (types && types.length > 0) {
+      params.push(types);
+      conditions.push(`type = ANY($${params.length})`);
+    }
+    if (aggregateId) {
+      params.push(aggregateId);
+      conditions.push(`aggregate_id = $${params.length}`);
+    }
+    if (correlationId) {
+      params.push(correlationId);
+      conditions.push(`correlation_id = $${params.length}`);
+    }
+    if (from) {
+      params.push(new Date(from));
+      conditions.push(`timestamp >= $${params.length}`);
+    }
+    if (to) {
+      params.push(new Date(to));
+      conditions.push(`timestamp < $${params.length}`);
+    }
+
+    return conditions;
+  }
+
+  // Постраничное чтение в порядке записи; afterPosition - позиция последнего прочитанного события
+  async query(filter = {}, { afterPosition = 0, limit = 100 } = {}) {
+    const params = [afterPosition];
+    const conditions = ['position > $1', ...this.buildFilter(filter, params)];
+    params.push(limit);
+
+    const result = await this.db.query(`
+      SELECT * FROM events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY position
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(row => ({
+      position: parseInt(row.position),
+      sourceService: row.source_service,
+      recordedAt: row.recorded_at,
+      event: this.toEvent(row)
+    }));
+  }
+
+  // Последовательная передача событий из диапазона обработчику
+  async replay(filter, handler) {
+    let afterPosition = 0;
+    let count = 0;
+
+    while (true) {
+      const batch = await this.query(filter, { afterPosition, limit: this.batchSize });
+      if (batch.length === 0) break;
+
+      for (const entry of batch) {
+        await handler(entry.event);
+        count++;
+      }
+
+      afterPosition = batch[batch.length - 1].position;
+    }
+
+    return count;
+  }
+
+  toEvent(row) {
+    return Event.fromJSON({
+      id: row.id,
+      type: row.type,
+      schemaVersion: row.schema_version,
+      data: row.data,
+      aggregateId: row.aggregate_id,
+      timestamp: row.timestamp,
+      correlationId: row.correlation_id,
+      causationId: row.causation_id
+    });
+  }
+}
+
+module.exports = EventStore;
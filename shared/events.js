@@ -1,4 +1,6 @@
 // Определение событий системы на основе Event Storming
+const { getCorrelationContext } = require('./correlation');
+const { UpcasterRegistry } = require('./upcasters');
 
 const EVENT_TYPES = {
   // События действий пользователей
@@ -6,22 +8,65 @@ const EVENT_TYPES = {
   USER_ADDED_TO_CART: 'UserAddedToCart',
   USER_PURCHASED_PRODUCT: 'UserPurchasedProduct',
   USER_SEARCHED_PRODUCTS: 'UserSearchedProducts',
+  USER_REMOVED_FROM_CART: 'UserRemovedFromCart',
+  USER_ADDED_TO_WISHLIST: 'UserAddedToWishlist',
+  USER_RATED_PRODUCT: 'UserRatedProduct',
+  USER_CLICKED_RECOMMENDATION: 'UserClickedRecommendation',
+  USER_REJECTED_RECOMMENDATION: 'UserRejectedRecommendation',
+  USER_IDENTITY_MERGED: 'UserIdentityMerged',
+  USER_DATA_ERASED: 'UserDataErased',
+
+  // События сессий
+  SESSION_STARTED: 'SessionStarted',
+  SESSION_ENDED: 'SessionEnded',
+
+  // События каталога товаров
+  PRODUCT_CREATED: 'ProductCreated',
+  PRODUCT_UPDATED: 'ProductUpdated',
+  PRODUCT_RETIRED: 'ProductRetired',
+  INVENTORY_CHANGED: 'InventoryChanged',
 
   // События рекомендаций
   RECOMMENDATION_GENERATED: 'RecommendationGenerated',
   RECOMMENDATION_MODEL_UPDATED: 'RecommendationModelUpdated',
 
   // Системные события
-  MODEL_TRAINING_STARTED: 'ModelTrainingStarted'
+  MODEL_TRAINING_STARTED: 'ModelTrainingStarted',
+  MODEL_TRAINING_FAILED: 'ModelTrainingFailed'
 };
 
+// Шаблоны подписки на группы событий
+const EVENT_PATTERNS = {
+  USER_ACTIVITY: 'User*',
+  PRODUCT_CATALOG: 'Product*'
+};
+
+const DEFAULT_CURRENCY = 'RUB';
+
+// Миграции payload старых версий событий. При изменении формы payload
+// регистрируется upcaster с предыдущей версии и новая версия схемы в eventSchemas.js
+const upcasters = new UpcasterRegistry();
+
+// v2: валюта и общая сумма покупки
+upcasters.register(EVENT_TYPES.USER_PURCHASED_PRODUCT, 1, (data) => ({
+  ...data,
+  currency: (data.metadata && data.metadata.currency) || DEFAULT_CURRENCY,
+  totalAmount: data.quantity * data.price
+}));
+
 class Event {
   constructor(type, data, aggregateId, timestamp = new Date()) {
     this.type = type;
     this.data = data;
     this.aggregateId = aggregateId;
     this.timestamp = timestamp;
+    this.schemaVersion = upcasters.getCurrentVersion(type);
     this.id = this.generateId();
+
+    // Событие, созданное при обработке запроса или другого события, наследует его контекст
+    const context = getCorrelationContext();
+    this.correlationId = context ? context.correlationId : null;
+    this.causationId = context ? context.causationId : null;
   }
 
   generateId() {
@@ -32,21 +77,53 @@ class Event {
     return {
       id: this.id,
       type: this.type,
+      schemaVersion: this.schemaVersion,
       data: this.data,
       aggregateId: this.aggregateId,
-      timestamp: this.timestamp instanceof Date ? this.timestamp.toISOString() : this.timestamp
+      timestamp: this.timestamp instanceof Date ? this.timestamp.toISOString() : this.timestamp,
+      correlationId: this.correlationId,
+      causationId: this.causationId
     };
   }
 
+  // Сообщения без schemaVersion опубликованы до версионирования и считаются версией 1
   static fromJSON(json) {
-    const event = new Event(json.type, json.data, json.aggregateId, new Date(json.timestamp));
+    const { version, data } = upcasters.upcast(json.type, json.schemaVersion || 1, json.data);
+    const event = new Event(json.type, data, json.aggregateId, new Date(json.timestamp));
+    event.schemaVersion = version;
     event.id = json.id;
+    event.correlationId = json.correlationId || null;
+    event.causationId = json.causationId || null;
     return event;
   }
 }
 
 // Фабрики для создания специфических событий
 class EventFactory {
+  // Событие по записи активности пользователя (/track, импорт); null для неизвестного типа
+  static createFromActivity({ userId, productId, activityType, metadata = {} }) {
+    switch (activityType) {
+      case 'view':
+        return EventFactory.createUserViewedProduct(userId, productId, metadata);
+      case 'add_to_cart':
+        return EventFactory.createUserAddedToCart(userId, productId, metadata.quantity || 1, metadata);
+      case 'purchase':
+        return EventFactory.createUserPurchasedProduct(userId, productId, metadata.quantity, metadata.price, metadata);
+      case 'search':
+        return EventFactory.createUserSearchedProducts(userId, metadata.query, metadata.results, metadata);
+      case 'remove_from_cart':
+        return EventFactory.createUserRemovedFromCart(userId, productId, metadata.quantity || 1, metadata);
+      case 'add_to_wishlist':
+        return EventFactory.createUserAddedToWishlist(userId, productId, metadata);
+      case 'rate':
+        return EventFactory.createUserRatedProduct(userId, productId, metadata.rating, metadata);
+      case 'recommendation_click':
+        return EventFactory.createUserClickedRecommendation(userId, productId, metadata);
+      default:
+        return null;
+    }
+  }
+
   static createUserViewedProduct(userId, productId, metadata = {}) {
     return new Event(EVENT_TYPES.USER_VIEWED_PRODUCT, {
       userId,
@@ -72,6 +149,8 @@ class EventFactory {
       productId,
       quantity,
       price,
+      currency: metadata.currency || DEFAULT_CURRENCY,
+      totalAmount: quantity * price,
       timestamp: new Date(),
       metadata
     }, `user-${userId}`);
@@ -87,6 +166,134 @@ class EventFactory {
     }, `user-${userId}`);
   }
 
+  static createUserRemovedFromCart(userId, productId, quantity = 1, metadata = {}) {
+    return new Event(EVENT_TYPES.USER_REMOVED_FROM_CART, {
+      userId,
+      productId,
+      quantity,
+      timestamp: new Date(),
+      metadata
+    }, `user-${userId}`);
+  }
+
+  static createUserAddedToWishlist(userId, productId, metadata = {}) {
+    return new Event(EVENT_TYPES.USER_ADDED_TO_WISHLIST, {
+      userId,
+      productId,
+      timestamp: new Date(),
+      metadata
+    }, `user-${userId}`);
+  }
+
+  static createUserRatedProduct(userId, productId, rating, metadata = {}) {
+    return new Event(EVENT_TYPES.USER_RATED_PRODUCT, {
+      userId,
+      productId,
+      rating,
+      timestamp: new Date(),
+      metadata
+    }, `user-${userId}`);
+  }
+
+  // position и modelVersion позволяют оценивать качество выдачи конкретной модели
+  static createUserClickedRecommendation(userId, productId, metadata = {}) {
+    return new Event(EVENT_TYPES.USER_CLICKED_RECOMMENDATION, {
+      userId,
+      productId,
+      position: metadata.position,
+      modelVersion: metadata.modelVersion,
+      timestamp: new Date(),
+      metadata
+    }, `user-${userId}`);
+  }
+
+  // action - dismiss, not_interested или hide_category
+  static createUserRejectedRecommendation(userId, action, { productId, category, reason } = {}) {
+    return new Event(EVENT_TYPES.USER_REJECTED_RECOMMENDATION, {
+      userId,
+      action,
+      productId,
+      category,
+      reason,
+      timestamp: new Date()
+    }, `user-${userId}`);
+  }
+
+  static createUserIdentityMerged(guestId, userId, summary) {
+    return new Event(EVENT_TYPES.USER_IDENTITY_MERGED, {
+      guestId,
+      userId,
+      ...summary,
+      timestamp: new Date()
+    }, `user-${userId}`);
+  }
+
+  // aliasIds - гостевые id, данные которых удалены вместе с данными пользователя
+  static createUserDataErased(userId, aliasIds = []) {
+    return new Event(EVENT_TYPES.USER_DATA_ERASED, {
+      userId,
+      aliasIds,
+      timestamp: new Date()
+    }, `user-${userId}`);
+  }
+
+  static createSessionStarted(sessionId, userId) {
+    return new Event(EVENT_TYPES.SESSION_STARTED, {
+      sessionId,
+      userId,
+      timestamp: new Date()
+    }, `session-${sessionId}`);
+  }
+
+  static createSessionEnded(sessionId, userId, summary) {
+    return new Event(EVENT_TYPES.SESSION_ENDED, {
+      sessionId,
+      userId,
+      ...summary,
+      timestamp: new Date()
+    }, `session-${sessionId}`);
+  }
+
+  // product - состояние товара после создания
+  static createProductCreated(product) {
+    return new Event(EVENT_TYPES.PRODUCT_CREATED, {
+      productId: product.id,
+      product,
+      timestamp: new Date()
+    }, `product-${product.id}`);
+  }
+
+  // changes - имена измененных полей, product - состояние товара после изменения
+  static createProductUpdated(product, changes) {
+    return new Event(EVENT_TYPES.PRODUCT_UPDATED, {
+      productId: product.id,
+      changes,
+      product,
+      timestamp: new Date()
+    }, `product-${product.id}`);
+  }
+
+  static createProductRetired(productId, reason) {
+    return new Event(EVENT_TYPES.PRODUCT_RETIRED, {
+      productId,
+      reason,
+      timestamp: new Date()
+    }, `product-${productId}`);
+  }
+
+  // previous - остаток и наличие до изменения; reason - причина изменения остатка
+  static createInventoryChanged(productId, { stock, availability }, previous, reason) {
+    return new Event(EVENT_TYPES.INVENTORY_CHANGED, {
+      productId,
+      stock,
+      availability,
+      previousStock: previous.stock,
+      previousAvailability: previous.availability,
+      reason,
+      timestamp: new Date()
+    }, `product-${productId}`);
+  }
+
   static createRecommendationGenerated(userId, recommendations, model, metadata = {}) {
     return new Event(EVENT_TYPES.RECOMMENDATION_GENERATED, {
       userId,
@@ -106,10 +313,28 @@ class EventFactory {
       metadata
     }, 'model-training');
   }
+
+  static createModelTrainingStarted(jobId, config = {}) {
+    return new Event(EVENT_TYPES.MODEL_TRAINING_STARTED, {
+      jobId,
+      config,
+      timestamp: new Date()
+    }, 'model-training');
+  }
+
+  static createModelTrainingFailed(jobId, error) {
+    return new Event(EVENT_TYPES.MODEL_TRAINING_FAILED, {
+      jobId,
+      error,
+      timestamp: new Date()
+    }, 'model-training');
+  }
 }
 
 module.exports = {
   Event,
   EventFactory,
-  EVENT_TYPES
+  EVENT_TYPES,
+  EVENT_PATTERNS,
+  upcasters
 };
\ No newline at end of file
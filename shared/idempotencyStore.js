@@ -0,0 +1,49 @@
+const { pool } = require('../config/database');
+
+// Учет обработанных событий для каждого подписчика: повторная доставка
+// (retry, redelivery из потока, replay) не приводит к повторной обработке
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    this.ttlHours = options.ttlHours || parseInt(process.env.EVENT_IDEMPOTENCY_TTL_HOURS) || 24;
+    this.cleanupInterval = options.cleanupInterval || 60 * 60 * 1000;
+    this.lastCleanupAt = Date.now();
+  }
+
+  async isProcessed(consumer, eventId) {
+    const result = await this.db.query(`
+      SELECT 1 FROM processed_events
+      WHERE consumer = $1 AND event_id = $2 AND expires_at > NOW()
+    `, [consumer, eventId]);
+
+    return result.rows.length > 0;
+  }
+
+  async markProcessed(consumer, eventId) {
+    await this.db.query(`
+      INSERT INTO processed_events (consumer, event_id, expires_at)
+      VALUES ($1, $2, NOW() + ($3 || ' hours')::interval)
+      ON CONFLICT (consumer, event_id)
+      DO UPDATE SET processed_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at
+    `, [consumer, eventId, this.ttlHours]);
+
+    // Очистка устаревших записей выполняется не чаще cleanupInterval
+    if (Date.now() - this.lastCleanupAt >= this.cleanupInterval) {
+      this.lastCleanupAt = Date.now();
+      this.cleanupExpired();
+    }
+  }
+
+  async cleanupExpired() {
+    try {
+      const result = await this.db.query('DELETE FROM processed_events WHERE expires_at <= NOW()');
+      if (result.rowCount > 0) {
+        console.log(`Idempotency store removed ${result.rowCount} expired entries`);
+      }
+    } catch (error) {
+      console.error('Idempotency store cleanup error:', error);
+    }
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,66 @@
+// Кэш в памяти экземпляра сервиса: число записей ограничено (вытесняются давно не
+// использованные), а каждая запись живет не дольше ttlMs. Сброс по событиям ускоряет
+// обновление, но TTL ограничивает устаревание, даже если событие до экземпляра не дошло
+class LocalCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    this.ttlMs = options.ttlMs || 5 * 60 * 1000;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Map хранит порядок вставки: прочитанная запись переносится в конец
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  set(key, value, now = Date.now()) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: now + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Перебор действующих записей без изменения порядка вытеснения
+  *[Symbol.iterator]() {
+    const now = Date.now();
+    for (const [key, entry] of Array.from(this.entries)) {
+      if (entry.expiresAt > now) {
+        yield [key, entry.value];
+      } else {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  LocalCache
+};
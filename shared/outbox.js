@@ -0,0 +1,223 @@
+const { pool } = require('../config/database');
+const { Event } = require('./events');
+const { EventValidationError } = require('./schemaRegistry');
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  // Запись, которую не удалось опубликовать; не блокирует следующие события
+  PARKED: 'parked'
+};
+
+// Transactional outbox: событие записывается в той же транзакции, что и данные,
+// а relay публикует накопленные записи в EventBus (at-least-once).
+// Таблица общая для сервисов, relay работает только с записями своего сервиса
+class OutboxRelay {
+  constructor(options = {}) {
+    this.eventBus = options.eventBus;
+    this.serviceName = options.serviceName || (this.eventBus && this.eventBus.serviceName);
+    if (!this.serviceName) {
+      throw new Error('OutboxRelay requires serviceName or eventBus');
+    }
+    this.db = options.db || pool;
+    this.pollInterval = options.pollInterval || parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+    this.batchSize = options.batchSize || 100;
+    this.stuckAfter = options.stuckAfter || parseInt(process.env.OUTBOX_STUCK_AFTER_MS) || 60000;
+    this.retentionDays = options.retentionDays || parseInt(process.env.OUTBOX_RETENTION_DAYS) || 7;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 20;
+    this.timer = null;
+    this.cleanupTimer = null;
+    this.relaying = false;
+  }
+
+  // Вызывается внутри транзакции вызывающего кода
+  async enqueue(client, event) {
+    const eventData = event.toJSON();
+
+    await client.query(`
+      INSERT INTO event_outbox (event_id, event_type, aggregate_id, source_service, payload)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [eventData.id, eventData.type, eventData.aggregateId, this.serviceName, JSON.stringify(eventData)]);
+  }
+
+  async enqueueMany(client, events) {
+    if (events.length === 0) return;
+
+    const params = [];
+    const values = events.map(event => {
+      const eventData = event.toJSON();
+      params.push(eventData.id, eventData.type, eventData.aggregateId, this.serviceName, JSON.stringify(eventData));
+      const offset = params.length - 5;
+      return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5})`;
+    });
+
+    await client.query(`
+      INSERT INTO event_outbox (event_id, event_type, aggregate_id, source_service, payload)
+      VALUES ${values.join(', ')}
+    `, params);
+  }
+
+  start() {
+    this.timer = setInterval(() => this.relayPending(), this.pollInterval);
+    this.cleanupTimer = setInterval(() => this.cleanupSent(), 60 * 60 * 1000);
+    console.log(`Outbox relay started (poll interval: ${this.pollInterval}ms)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.cleanupTimer);
+    this.timer = null;
+    this.cleanupTimer = null;
+  }
+
+  async relayPending() {
+    // Без подключения к EventBus попытки не расходуются
+    if (this.relaying || !this.eventBus.connected) return 0;
+    this.relaying = true;
+
+    let client;
+    let published = 0;
+
+    try {
+      client = await this.db.connect();
+      await client.query('BEGIN');
+
+      // SKIP LOCKED позволяет запускать несколько экземпляров сервиса
+      const result = await client.query(`
+        SELECT * FROM event_outbox
+        WHERE source_service = $1 AND status = $2
+        ORDER BY id
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      `, [this.serviceName, OUTBOX_STATUS.PENDING, this.batchSize]);
+
+      for (const row of result.rows) {
+        try {
+          await this.eventBus.publish(Event.fromJSON(row.payload));
+          await client.query(`
+            UPDATE event_outbox
+            SET status = $2, attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL
+            WHERE id = $1
+          `, [row.id, OUTBOX_STATUS.SENT]);
+          published++;
+        } catch (error) {
+          // Событие, нарушающее схему, не станет валидным при повторе;
+          // ошибки доставки повторяются до maxAttempts
+          const park = error instanceof EventValidationError || row.attempts + 1 >= this.maxAttempts;
+
+          await client.query(`
+            UPDATE event_outbox
+            SET status = $3, attempts = attempts + 1, last_error = $2, last_attempt_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [row.id, error.message, park ? OUTBOX_STATUS.PARKED : OUTBOX_STATUS.PENDING]);
+
+          if (park) {
+            console.error(`Outbox relay parked event ${row.event_id} after ${row.attempts + 1} attempts:`, error.message);
+            continue;
+          }
+
+          // Сохраняем порядок событий: остальные записи будут отправлены в следующем цикле
+          console.error(`Outbox relay failed to publish event ${row.event_id}:`, error.message);
+          break;
+        }
+      }
+
+      await client.query('COMMIT');
+
+      if (published > 0) {
+        console.log(`Outbox relay published ${published} events`);
+      }
+    } catch (error) {
+      console.error('Outbox relay error:', error);
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+    } finally {
+      if (client) {
+        client.release();
+      }
+      this.relaying = false;
+    }
+
+    return published;
+  }
+
+  async cleanupSent() {
+    try {
+      const result = await this.db.query(`
+        DELETE FROM event_outbox
+        WHERE source_service = $1 AND status = $2 AND sent_at < NOW() - ($3 || ' days')::interval
+      `, [this.serviceName, OUTBOX_STATUS.SENT, this.retentionDays]);
+
+      if (result.rowCount > 0) {
+        console.log(`Outbox cleanup removed ${result.rowCount} sent events`);
+      }
+    } catch (error) {
+      console.error('Outbox cleanup error:', error);
+    }
+  }
+
+  async getStatus(limit = 50) {
+    const countsResult = await this.db.query(`
+      SELECT status, COUNT(*) as count, MIN(created_at) as oldest
+      FROM event_outbox
+      WHERE source_service = $1
+      GROUP BY status
+    `, [this.serviceName]);
+
+    // Записи, которые не удается отправить дольше порогового времени
+    const stuckResult = await this.db.query(`
+      SELECT id, event_id, event_type, aggregate_id, attempts, last_error, last_attempt_at, created_at
+      FROM event_outbox
+      WHERE source_service = $1 AND status = $2
+        AND created_at < NOW() - ($3 || ' milliseconds')::interval
+      ORDER BY id
+      LIMIT $4
+    `, [this.serviceName, OUTBOX_STATUS.PENDING, this.stuckAfter, limit]);
+
+    const parkedResult = await this.db.query(`
+      SELECT id, event_id, event_type, aggregate_id, attempts, last_error, last_attempt_at, created_at
+      FROM event_outbox
+      WHERE source_service = $1 AND status = $2
+      ORDER BY id
+      LIMIT $3
+    `, [this.serviceName, OUTBOX_STATUS.PARKED, limit]);
+
+    const counts = {};
+    let oldestPendingAt = null;
+    for (const row of countsResult.rows) {
+      counts[row.status] = parseInt(row.count);
+      if (row.status === OUTBOX_STATUS.PENDING) {
+        oldestPendingAt = row.oldest;
+      }
+    }
+
+    return {
+      pending: counts[OUTBOX_STATUS.PENDING] || 0,
+      sent: counts[OUTBOX_STATUS.SENT] || 0,
+      parked: counts[OUTBOX_STATUS.PARKED] || 0,
+      oldestPendingAt,
+      stuckThresholdMs: this.stuckAfter,
+      maxAttempts: this.maxAttempts,
+      stuck: stuckResult.rows,
+      parkedEvents: parkedResult.rows
+    };
+  }
+
+  // Возвращает отложенную запись в очередь, например после исправления обработчика или схемы
+  async requeue(id) {
+    const result = await this.db.query(`
+      UPDATE event_outbox
+      SET status = $3, attempts = 0
+      WHERE id = $1 AND source_service = $2 AND status = $4
+      RETURNING id, event_id, event_type
+    `, [id, this.serviceName, OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PARKED]);
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = {
+  OutboxRelay,
+  OUTBOX_STATUS
+};
@@ -0,0 +1,187 @@
+// Контракт запросов каталога товаров: создание, изменение и пакетная загрузка товаров,
+// дерево категорий и остатки на складе
+const { SchemaRegistry } = require('./schemaRegistry');
+
+const PRODUCT_STATUSES = {
+  ACTIVE: 'active',
+  RETIRED: 'retired'
+};
+
+// Наличие товара; out_of_stock исключается из рекомендаций, low_stock понижается в выдаче
+const PRODUCT_AVAILABILITY = {
+  IN_STOCK: 'in_stock',
+  LOW_STOCK: 'low_stock',
+  OUT_OF_STOCK: 'out_of_stock'
+};
+
+const LOW_STOCK_THRESHOLD = parseInt(process.env.INVENTORY_LOW_STOCK_THRESHOLD) || 5;
+
+// Поля товара, которые можно изменить через API; остатки меняются только через API склада
+const PRODUCT_FIELDS = ['name', 'category', 'price', 'description', 'attributes', 'tags'];
+
+const productSchemas = new SchemaRegistry();
+
+const productFields = {
+  name: { type: 'string', minLength: 1 },
+  category: { type: 'string', minLength: 1 },
+  price: { type: 'number', min: 0 },
+  description: { type: 'string' },
+  // Произвольные характеристики: { "brand": "Sony", "wireless": true }
+  attributes: { type: 'object' },
+  tags: { type: 'array' }
+};
+
+productSchemas.register('create', 1, {
+  description: 'Новый товар',
+  fields: {
+    ...productFields,
+    id: { type: 'string', required: true, minLength: 1 },
+    name: { ...productFields.name, required: true }
+  }
+});
+
+productSchemas.register('update', 1, {
+  description: 'Изменение полей товара',
+  fields: productFields
+});
+
+productSchemas.register('category.create', 1, {
+  description: 'Новая категория',
+  fields: {
+    id: { type: 'string', required: true, minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    parentId: { type: 'string', minLength: 1 }
+  }
+});
+
+productSchemas.register('category.update', 1, {
+  description: 'Изменение названия или родителя категории; parentId: null переносит категорию в корень',
+  fields: {
+    name: { type: 'string', minLength: 1 },
+    parentId: { type: 'string', minLength: 1 }
+  }
+});
+
+const inventoryFields = {
+  stock: { type: 'integer', min: 0 },
+  availability: { type: 'string', enum: Object.values(PRODUCT_AVAILABILITY) },
+  reason: { type: 'string' }
+};
+
+productSchemas.register('inventory.set', 1, {
+  description: 'Остаток и наличие товара; без availability наличие определяется по остатку',
+  fields: inventoryFields
+});
+
+productSchemas.register('inventory.adjust', 1, {
+  description: 'Изменение остатка на delta единиц (поступление или списание)',
+  fields: {
+    delta: { type: 'integer', required: true },
+    reason: { type: 'string' }
+  }
+});
+
+productSchemas.register('inventory.bulk', 1, {
+  description: 'Остаток товара в пакетном обновлении',
+  fields: {
+    ...inventoryFields,
+    productId: { type: 'string', required: true, minLength: 1 }
+  }
+});
+
+// Значения характеристик - строки, числа или логические значения без вложенности
+function validateAttributes(attributes, errors) {
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push({ field: `attributes.${key}`, message: `attributes.${key} must be a string, number or boolean` });
+    }
+  }
+}
+
+function validateTags(tags, errors) {
+  if (tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+    errors.push({ field: 'tags', message: 'tags must be non-empty strings' });
+  }
+}
+
+// Теги сравниваются без учета регистра и пробелов по краям
+function normalizeTags(tags) {
+  return Array.from(new Set(tags.map(tag => tag.trim().toLowerCase())));
+}
+
+// Возвращает ошибки [{ field, message }]; operation - create или update
+function validateProduct(product, operation = 'create') {
+  if (!product || typeof product !== 'object' || Array.isArray(product)) {
+    return [{ field: null, message: 'product must be an object' }];
+  }
+
+  const errors = productSchemas.validateFields(operation, product);
+  if (product.name === null) {
+    errors.push({ field: 'name', message: 'name cannot be null' });
+  }
+  if (product.attributes && typeof product.attributes === 'object' && !Array.isArray(product.attributes)) {
+    validateAttributes(product.attributes, errors);
+  }
+  if (Array.isArray(product.tags)) {
+    validateTags(product.tags, errors);
+  }
+  if (operation === 'update' && !PRODUCT_FIELDS.some(field => product[field] !== undefined)) {
+    errors.push({ field: null, message: `at least one of ${PRODUCT_FIELDS.join(', ')} is required` });
+  }
+  return errors;
+}
+
+// operation - create или update
+function validateCategory(category, operation = 'create') {
+  if (!category || typeof category !== 'object' || Array.isArray(category)) {
+    return [{ field: null, message: 'category must be an object' }];
+  }
+
+  const errors = productSchemas.validateFields(`category.${operation}`, category);
+  if (operation === 'update' && category.name === undefined && category.parentId === undefined) {
+    errors.push({ field: null, message: 'at least one of name, parentId is required' });
+  }
+  return errors;
+}
+
+// operation - set, adjust или bulk
+function validateInventory(inventory, operation = 'set') {
+  if (!inventory || typeof inventory !== 'object' || Array.isArray(inventory)) {
+    return [{ field: null, message: 'inventory must be an object' }];
+  }
+
+  const errors = productSchemas.validateFields(`inventory.${operation}`, inventory);
+  if (operation !== 'adjust' && inventory.stock === undefined && inventory.availability === undefined) {
+    errors.push({ field: null, message: 'at least one of stock, availability is required' });
+  }
+  return errors;
+}
+
+// Наличие по остатку; остаток null означает, что он не отслеживается
+function availabilityForStock(stock) {
+  if (stock === null) return PRODUCT_AVAILABILITY.IN_STOCK;
+  if (stock === 0) return PRODUCT_AVAILABILITY.OUT_OF_STOCK;
+  return stock <= LOW_STOCK_THRESHOLD ? PRODUCT_AVAILABILITY.LOW_STOCK : PRODUCT_AVAILABILITY.IN_STOCK;
+}
+
+// Условие SQL, исключающее выведенные из ассортимента товары и товары не в наличии
+function excludeUnavailableProductsSql(column) {
+  return `${column} NOT IN (
+    SELECT rp.id FROM products rp
+    WHERE rp.status = '${PRODUCT_STATUSES.RETIRED}'
+      OR rp.availability = '${PRODUCT_AVAILABILITY.OUT_OF_STOCK}'
+  )`;
+}
+
+module.exports = {
+  PRODUCT_STATUSES,
+  PRODUCT_AVAILABILITY,
+  PRODUCT_FIELDS,
+  productSchemas,
+  validateProduct,
+  validateCategory,
+  normalizeTags,
+  validateInventory,
+  availabilityForStock,
+  excludeUnavailableProductsSql
+};
@@ -0,0 +1,92 @@
+// Счетчики скользящего окна в памяти процесса: лимиты и частоты действуют
+// в пределах одного экземпляра сервиса
+
+// Оценка числа событий за последние windowMs: текущее фиксированное окно
+// плюс доля предыдущего, пропорциональная непрошедшей части окна
+class SlidingWindowCounter {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.windows = new Map();
+    this.lastCleanupAt = Date.now();
+  }
+
+  count(key, now = Date.now()) {
+    const window = this.roll(key, now);
+    if (!window) return 0;
+
+    const elapsed = (now - window.startedAt) / this.windowMs;
+    return window.previous * (1 - elapsed) + window.current;
+  }
+
+  add(key, amount = 1, now = Date.now()) {
+    let window = this.roll(key, now);
+    if (!window) {
+      window = { startedAt: now - (now % this.windowMs), current: 0, previous: 0 };
+      this.windows.set(key, window);
+    }
+    window.current += amount;
+
+    // Ключи без событий за два окна удаляются не чаще раза в окно
+    if (now - this.lastCleanupAt >= this.windowMs) {
+      this.lastCleanupAt = now;
+      this.cleanup(now);
+    }
+    return this.count(key, now);
+  }
+
+  // Остаток до конца текущего окна
+  resetIn(key, now = Date.now()) {
+    const window = this.roll(key, now);
+    return window ? window.startedAt + this.windowMs - now : 0;
+  }
+
+  roll(key, now) {
+    const window = this.windows.get(key);
+    if (!window) return null;
+
+    const windowStart = now - (now % this.windowMs);
+    if (windowStart !== window.startedAt) {
+      window.previous = windowStart - window.startedAt === this.windowMs ? window.current : 0;
+      window.current = 0;
+      window.startedAt = windowStart;
+    }
+    return window;
+  }
+
+  cleanup(now) {
+    for (const [key, window] of this.windows) {
+      if (now - window.startedAt >= 2 * this.windowMs) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+class RateLimiter {
+  // limit - допустимое число обращений за windowMs; 0 отключает ограничение
+  constructor({ limit, windowMs = 60 * 1000 }) {
+    this.limit = limit;
+    this.counter = new SlidingWindowCounter(windowMs);
+  }
+
+  // Расходует cost обращений по ключу, если лимит позволяет
+  consume(key, cost = 1) {
+    if (!this.limit) {
+      return { allowed: true };
+    }
+
+    const now = Date.now();
+    const used = this.counter.count(key, now);
+    if (used + cost > this.limit) {
+      return { allowed: false, retryAfterMs: Math.max(this.counter.resetIn(key, now), 1000) };
+    }
+
+    this.counter.add(key, cost, now);
+    return { allowed: true, remaining: Math.floor(this.limit - used - cost) };
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  SlidingWindowCounter
+};
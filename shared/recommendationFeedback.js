@@ -0,0 +1,95 @@
+// Негативная обратная связь по рекомендациям: контракт запроса
+// и условие исключения скрытых товаров для запросов рекомендаций
+const { SchemaRegistry } = require('./schemaRegistry');
+
+const FEEDBACK_ACTIONS = {
+  DISMISS: 'dismiss',
+  NOT_INTERESTED: 'not_interested',
+  HIDE_CATEGORY: 'hide_category'
+};
+
+const feedbackSchemas = new SchemaRegistry();
+
+const commonFields = {
+  userId: { type: 'string', required: true, minLength: 1 },
+  reason: { type: 'string' }
+};
+
+feedbackSchemas.register(FEEDBACK_ACTIONS.DISMISS, 1, {
+  description: 'Скрыть рекомендованный товар',
+  fields: {
+    ...commonFields,
+    productId: { type: 'string', required: true, minLength: 1 }
+  }
+});
+
+feedbackSchemas.register(FEEDBACK_ACTIONS.NOT_INTERESTED, 1, {
+  description: 'Товар неинтересен пользователю',
+  fields: {
+    ...commonFields,
+    productId: { type: 'string', required: true, minLength: 1 }
+  }
+});
+
+// Категория указывается явно или берется из товара
+feedbackSchemas.register(FEEDBACK_ACTIONS.HIDE_CATEGORY, 1, {
+  description: 'Скрыть все товары категории',
+  fields: {
+    ...commonFields,
+    productId: { type: 'string', minLength: 1 },
+    category: { type: 'string', minLength: 1 }
+  }
+});
+
+// Возвращает ошибки [{ field, message }]; пустой список означает валидный запрос
+function validateFeedback(feedback) {
+  if (!feedback || typeof feedback !== 'object' || Array.isArray(feedback)) {
+    return [{ field: null, message: 'feedback must be an object' }];
+  }
+
+  if (!feedbackSchemas.has(feedback.action)) {
+    return [{
+      field: 'action',
+      message: `action must be one of: ${Object.values(FEEDBACK_ACTIONS).join(', ')}`
+    }];
+  }
+
+  const errors = feedbackSchemas.validateFields(feedback.action, feedback);
+  if (feedback.action === FEEDBACK_ACTIONS.HIDE_CATEGORY && !feedback.category && !feedback.productId) {
+    errors.push({ field: 'category', message: 'category or productId is required' });
+  }
+  return errors;
+}
+
+// SQL-условие: колонка column не содержит товаров, скрытых пользователем
+// (userParam - номер параметра запроса с id пользователя).
+// Скрытая категория скрывает и товары всех ее подкатегорий из дерева categories
+function excludeHiddenProductsSql(column, userParam) {
+  return `${column} NOT IN (
+    SELECT hf.product_id FROM recommendation_feedback hf
+    WHERE hf.user_id = $${userParam}
+      AND hf.action <> '${FEEDBACK_ACTIONS.HIDE_CATEGORY}'
+      AND hf.product_id IS NOT NULL
+    UNION
+    SELECT hp.id FROM products hp
+    WHERE hp.category IN (
+      WITH RECURSIVE hidden_categories(id) AS (
+        SELECT hf.category FROM recommendation_feedback hf
+        WHERE hf.user_id = $${userParam}
+          AND hf.action = '${FEEDBACK_ACTIONS.HIDE_CATEGORY}'
+          AND hf.category IS NOT NULL
+        UNION
+        SELECT hc.id FROM categories hc
+        JOIN hidden_categories h ON hc.parent_id = h.id
+      )
+      SELECT id FROM hidden_categories
+    )
+  )`;
+}
+
+module.exports = {
+  FEEDBACK_ACTIONS,
+  feedbackSchemas,
+  validateFeedback,
+  excludeHiddenProductsSql
+};
@@ -0,0 +1,150 @@
+// Реестр схем событий: для каждого типа события хранится набор версий схемы payload
+
+class EventValidationError extends Error {
+  constructor(eventType, version, errors) {
+    super(`Invalid ${eventType} event (schema v${version}): ${errors.join('; ')}`);
+    this.name = 'EventValidationError';
+    this.eventType = eventType;
+    this.version = version;
+    this.errors = errors;
+  }
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  date: value => (value instanceof Date || typeof value === 'string') && !isNaN(new Date(value).getTime())
+};
+
+class SchemaRegistry {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  register(eventType, version, schema) {
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Schema version for ${eventType} must be a positive integer`);
+    }
+
+    if (!this.schemas.has(eventType)) {
+      this.schemas.set(eventType, new Map());
+    }
+
+    const versions = this.schemas.get(eventType);
+    if (versions.has(version)) {
+      throw new Error(`Schema ${eventType} v${version} is already registered`);
+    }
+
+    versions.set(version, {
+      description: schema.description || '',
+      fields: schema.fields || {}
+    });
+    return this;
+  }
+
+  has(eventType) {
+    return this.schemas.has(eventType);
+  }
+
+  getLatestVersion(eventType) {
+    const versions = this.schemas.get(eventType);
+    return versions ? Math.max(...versions.keys()) : null;
+  }
+
+  getSchema(eventType, version = this.getLatestVersion(eventType)) {
+    const versions = this.schemas.get(eventType);
+    return versions ? versions.get(version) || null : null;
+  }
+
+  // Возвращает список ошибок; пустой список означает валидный payload
+  validate(eventType, data, version = this.getLatestVersion(eventType)) {
+    return this.validateFields(eventType, data, version).map(error => error.message);
+  }
+
+  // Ошибки с указанием поля: [{ field, message }]. Имя поля может быть путем
+  // во вложенный объект (metadata.price)
+  validateFields(eventType, data, version = this.getLatestVersion(eventType)) {
+    if (!this.has(eventType)) {
+      return [{ field: null, message: `unknown event type "${eventType}"` }];
+    }
+
+    const schema = this.getSchema(eventType, version);
+    if (!schema) {
+      return [{ field: null, message: `schema version ${version} is not registered` }];
+    }
+
+    if (!TYPE_CHECKS.object(data)) {
+      return [{ field: null, message: 'data must be an object' }];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema.fields)) {
+      this.validateField(field, rule, this.getFieldValue(data, field), errors);
+    }
+    return errors;
+  }
+
+  getFieldValue(data, field) {
+    return field.split('.').reduce(
+      (value, key) => (TYPE_CHECKS.object(value) ? value[key] : undefined),
+      data
+    );
+  }
+
+  validateField(field, rule, value, errors) {
+    const fail = message => errors.push({ field, message: `${field} ${message}` });
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        fail('is required');
+      }
+      return;
+    }
+
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      fail(`must be of type ${types.join(' or ')}`);
+      return;
+    }
+
+    if (rule.min !== undefined && typeof value === 'number' && value < rule.min) {
+      fail(`must be >= ${rule.min}`);
+    }
+    if (rule.max !== undefined && typeof value === 'number' && value > rule.max) {
+      fail(`must be <= ${rule.max}`);
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      fail(`must have length >= ${rule.minLength}`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      fail(`must be one of: ${rule.enum.join(', ')}`);
+    }
+  }
+
+  assertValid(eventType, data, version = this.getLatestVersion(eventType)) {
+    const errors = this.validate(eventType, data, version);
+    if (errors.length > 0) {
+      throw new EventValidationError(eventType, version, errors);
+    }
+  }
+
+  list() {
+    return Array.from(this.schemas.entries()).map(([eventType, versions]) => ({
+      eventType,
+      latestVersion: this.getLatestVersion(eventType),
+      versions: Array.from(versions.entries()).map(([version, schema]) => ({
+        version,
+        ...schema
+      }))
+    }));
+  }
+}
+
+module.exports = {
+  SchemaRegistry,
+  EventValidationError
+};
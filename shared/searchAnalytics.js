@@ -0,0 +1,222 @@
+// Журнал поисковых запросов: нормализованные запросы из активностей search
+// и атрибуция последующих действий сессии запросу, который к ним привел
+const { pool } = require('../config/database');
+
+// Действия, которые засчитываются поиску
+const ATTRIBUTED_ACTIVITIES = ['view', 'add_to_cart', 'purchase'];
+const MIN_TERM_LENGTH = 2;
+const MAX_QUERY_LENGTH = 255;
+
+// Регистр, пунктуация и повторные пробелы не различают запросы
+function normalizeQuery(query) {
+  return String(query)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH)
+    .trim();
+}
+
+function queryTerms(normalizedQuery) {
+  return Array.from(new Set(normalizedQuery.split(' ').filter(term => term.length >= MIN_TERM_LENGTH)));
+}
+
+// metadata.results - список найденных товаров или их количество
+function parseResults(results) {
+  if (Array.isArray(results)) {
+    return { count: results.length, productIds: results.map(String) };
+  }
+  return { count: Number.isInteger(results) ? results : null, productIds: [] };
+}
+
+function rate(part, total) {
+  return total > 0 ? part / total : 0;
+}
+
+class SearchAnalytics {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+  }
+
+  // Вызывается в транзакции записи активностей, в порядке записи:
+  // поиск, записанный раньше в том же пакете, получает атрибуцию последующих действий
+  async record(client, activities) {
+    for (const activity of activities) {
+      if (activity.activityType === 'search') {
+        await this.recordSearch(client, activity);
+      } else if (ATTRIBUTED_ACTIVITIES.includes(activity.activityType) && activity.sessionId) {
+        await this.attribute(client, activity);
+      }
+    }
+  }
+
+  async recordSearch(client, { activityId, userId, sessionId, metadata = {} }) {
+    const normalizedQuery = normalizeQuery(metadata.query || '');
+    if (!normalizedQuery) return;
+
+    const results = parseResults(metadata.results);
+    await client.query(`
+      INSERT INTO search_queries (
+        user_id, session_id, activity_id, query, normalized_query, terms, results_count, result_product_ids, searched_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+    `, [
+      userId,
+      sessionId || null,
+      activityId,
+      metadata.query,
+      normalizedQuery,
+      queryTerms(normalizedQuery),
+      results.count,
+      results.productIds
+    ]);
+  }
+
+  // Действие засчитывается последнему поиску сессии; поиск, в результатах которого был товар,
+  // имеет приоритет над более поздними поисками
+  async attribute(client, { activityId, userId, sessionId, productId, activityType, metadata = {} }) {
+    const revenue = activityType === 'purchase'
+      ? metadata.totalAmount || metadata.price * metadata.quantity
+      : null;
+
+    await client.query(`
+      INSERT INTO search_attributions (search_id, user_id, session_id, product_id, activity_type, activity_id, revenue, attributed_at)
+      SELECT s.id, $1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP
+      FROM search_queries s
+      WHERE s.session_id = $2
+      ORDER BY ($3::varchar = ANY(s.result_product_ids)) DESC, s.searched_at DESC, s.id DESC
+      LIMIT 1
+    `, [userId, sessionId, productId, activityType, activityId, revenue]);
+  }
+
+  async getTopQueries({ days = 30, limit = 20 } = {}) {
+    try {
+      const result = await this.db.query(`
+        SELECT normalized_query, COUNT(*) AS searches, COUNT(DISTINCT user_id) AS users,
+               AVG(results_count) AS avg_results, MAX(searched_at) AS last_searched_at
+        FROM search_queries
+        WHERE searched_at > NOW() - $1 * INTERVAL '1 day'
+        GROUP BY normalized_query
+        ORDER BY searches DESC, normalized_query
+        LIMIT $2
+      `, [days, limit]);
+
+      return { success: true, days, queries: result.rows.map(row => this.formatQueryStats(row)) };
+    } catch (error) {
+      console.error('Error getting top search queries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Запросы без результатов: кандидаты на синонимы и пополнение каталога
+  async getZeroResultQueries({ days = 30, limit = 20 } = {}) {
+    try {
+      const result = await this.db.query(`
+        SELECT normalized_query, COUNT(*) AS searches, COUNT(DISTINCT user_id) AS users,
+               0 AS avg_results, MAX(searched_at) AS last_searched_at
+        FROM search_queries
+        WHERE searched_at > NOW() - $1 * INTERVAL '1 day'
+          AND results_count = 0
+        GROUP BY normalized_query
+        ORDER BY searches DESC, normalized_query
+        LIMIT $2
+      `, [days, limit]);
+
+      return { success: true, days, queries: result.rows.map(row => this.formatQueryStats(row)) };
+    } catch (error) {
+      console.error('Error getting zero-result search queries:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Доли поисков запроса, после которых в сессии был просмотр, добавление в корзину и покупка
+  async getQueryConversions({ days = 30, limit = 20, minSearches = 1 } = {}) {
+    try {
+      const result = await this.db.query(`
+        SELECT s.normalized_query,
+               COUNT(*) AS searches,
+               COUNT(*) FILTER (WHERE a.views > 0) AS searches_with_views,
+               COUNT(*) FILTER (WHERE a.cart_adds > 0) AS searches_with_cart_adds,
+               COUNT(*) FILTER (WHERE a.purchases > 0) AS searches_with_purchases,
+               COALESCE(SUM(a.revenue), 0) AS revenue
+        FROM search_queries s
+        LEFT JOIN (
+          SELECT search_id,
+                 COUNT(*) FILTER (WHERE activity_type = 'view') AS views,
+                 COUNT(*) FILTER (WHERE activity_type = 'add_to_cart') AS cart_adds,
+                 COUNT(*) FILTER (WHERE activity_type = 'purchase') AS purchases,
+                 SUM(revenue) AS revenue
+          FROM search_attributions
+          GROUP BY search_id
+        ) a ON a.search_id = s.id
+        WHERE s.searched_at > NOW() - $1 * INTERVAL '1 day'
+        GROUP BY s.normalized_query
+        HAVING COUNT(*) >= $3
+        ORDER BY COUNT(*) FILTER (WHERE a.purchases > 0)::decimal / COUNT(*) DESC, searches DESC
+        LIMIT $2
+      `, [days, limit, minSearches]);
+
+      return {
+        success: true,
+        days,
+        queries: result.rows.map(row => {
+          const searches = parseInt(row.searches);
+          return {
+            query: row.normalized_query,
+            searches,
+            clickThroughRate: rate(parseInt(row.searches_with_views), searches),
+            addToCartRate: rate(parseInt(row.searches_with_cart_adds), searches),
+            conversionRate: rate(parseInt(row.searches_with_purchases), searches),
+            revenue: parseFloat(row.revenue)
+          };
+        })
+      };
+    } catch (error) {
+      console.error('Error getting search conversions:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Признаки для обучения: термины запросов пользователя и термины запросов, приведших к товару
+  async getTermFeatures({ days = 30 } = {}) {
+    const users = await this.db.query(`
+      SELECT s.user_id, term, COUNT(*) AS count
+      FROM search_queries s
+      CROSS JOIN LATERAL UNNEST(s.terms) AS term
+      WHERE s.searched_at > NOW() - $1 * INTERVAL '1 day'
+      GROUP BY s.user_id, term
+    `, [days]);
+
+    const products = await this.db.query(`
+      SELECT a.product_id, term, COUNT(*) AS count
+      FROM search_attributions a
+      JOIN search_queries s ON s.id = a.search_id
+      CROSS JOIN LATERAL UNNEST(s.terms) AS term
+      WHERE a.attributed_at > NOW() - $1 * INTERVAL '1 day'
+      GROUP BY a.product_id, term
+    `, [days]);
+
+    return {
+      users: users.rows.map(row => ({ userId: row.user_id, term: row.term, count: parseInt(row.count) })),
+      products: products.rows.map(row => ({ productId: row.product_id, term: row.term, count: parseInt(row.count) }))
+    };
+  }
+
+  formatQueryStats(row) {
+    return {
+      query: row.normalized_query,
+      searches: parseInt(row.searches),
+      users: parseInt(row.users),
+      avgResults: row.avg_results === null ? null : parseFloat(row.avg_results),
+      lastSearchedAt: row.last_searched_at
+    };
+  }
+}
+
+module.exports = {
+  SearchAnalytics,
+  normalizeQuery,
+  queryTerms,
+  ATTRIBUTED_ACTIVITIES
+};
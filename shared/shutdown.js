@@ -0,0 +1,38 @@
+const { pool } = require('../config/database');
+
+// Остановка по SIGTERM. Сервисы регистрируют свои обработчики, а общий пул соединений
+// закрывается один раз после всех них - это важно, когда несколько сервисов запущены
+// в одном процессе (scripts/start-all.js)
+const handlers = [];
+let shutdown = null;
+
+function onShutdown(name, handler) {
+  if (handlers.length === 0) {
+    process.on('SIGTERM', shutdownAll);
+  }
+  handlers.push({ name, handler });
+}
+
+function shutdownAll() {
+  if (!shutdown) {
+    shutdown = (async () => {
+      for (const { name, handler } of handlers) {
+        console.log(`Shutting down ${name}...`);
+        try {
+          await handler();
+        } catch (error) {
+          console.error(`Failed to shut down ${name}:`, error);
+        }
+      }
+
+      await pool.end();
+      process.exit(0);
+    })();
+  }
+  return shutdown;
+}
+
+module.exports = {
+  onShutdown,
+  shutdownAll
+};
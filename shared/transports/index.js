@@ -0,0 +1,37 @@
+// Транспорты EventBus. Каждый транспорт реализует:
+//   connect(), disconnect()
+//   publish(eventType, message) - message уже сериализован в строку
+//   subscribe(pattern, onMessage) - pattern: тип события или glob-шаблон (User*);
+//     onMessage(message) вызывается один раз для каждого подходящего сообщения и возвращает Promise;
+//     транспорт с подтверждениями считает сообщение доставленным после его успешного завершения
+//   unsubscribe(pattern)
+// Транспорт, который делит события между экземплярами сервиса, дополнительно реализует
+//   subscribeBroadcast(pattern, onMessage), unsubscribeBroadcast(pattern) - доставка каждому экземпляру
+const RedisPubSubTransport = require('./redisPubSubTransport');
+const RedisStreamsTransport = require('./redisStreamsTransport');
+const MemoryTransport = require('./memoryTransport');
+
+function createTransport(name, options = {}) {
+  switch (name) {
+    case 'redis': {
+      const redisOptions = {
+        ...options,
+        url: `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`
+      };
+      return options.durable
+        ? new RedisStreamsTransport(redisOptions)
+        : new RedisPubSubTransport(redisOptions);
+    }
+    case 'memory':
+      return new MemoryTransport(options);
+    default:
+      throw new Error(`Unknown EventBus transport: ${name}`);
+  }
+}
+
+module.exports = {
+  createTransport,
+  RedisPubSubTransport,
+  RedisStreamsTransport,
+  MemoryTransport
+};
@@ -0,0 +1,67 @@
+const { matchesPattern } = require('../eventPattern');
+
+// Общая шина процесса: все экземпляры EventBus с транспортом memory видят друг друга,
+// что позволяет запускать сервисы в одном процессе без Redis
+const channels = new Map();
+const inFlight = new Set();
+
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.listeners = new Map();
+  }
+
+  async connect() {
+    console.log('Using in-process event transport');
+  }
+
+  async publish(eventType, message) {
+    console.log(`Event published: ${eventType} (in-process)`);
+
+    // Доставка асинхронная, как и у Redis: публикация не ждет обработчиков
+    for (const [pattern, listeners] of channels) {
+      if (!matchesPattern(pattern, eventType)) continue;
+
+      for (const listener of listeners) {
+        const delivery = new Promise(resolve => setImmediate(resolve))
+          .then(() => listener(message))
+          .catch(error => console.error('Failed to process event:', error))
+          .finally(() => inFlight.delete(delivery));
+        inFlight.add(delivery);
+      }
+    }
+  }
+
+  async subscribe(pattern, onMessage) {
+    if (!channels.has(pattern)) {
+      channels.set(pattern, new Set());
+    }
+
+    channels.get(pattern).add(onMessage);
+    this.listeners.set(pattern, onMessage);
+    console.log(`Subscribed to in-process channel: ${pattern}`);
+  }
+
+  async unsubscribe(pattern) {
+    const listener = this.listeners.get(pattern);
+    if (listener) {
+      channels.get(pattern).delete(listener);
+      this.listeners.delete(pattern);
+    }
+  }
+
+  async disconnect() {
+    for (const pattern of Array.from(this.listeners.keys())) {
+      await this.unsubscribe(pattern);
+    }
+  }
+
+  // Ожидание обработки всех опубликованных событий, включая порожденные обработчиками
+  async drain() {
+    while (inFlight.size > 0) {
+      await Promise.all(Array.from(inFlight));
+    }
+  }
+}
+
+module.exports = MemoryTransport;
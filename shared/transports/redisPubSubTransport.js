@@ -0,0 +1,90 @@
+const redis = require('redis');
+const { isPattern } = require('../eventPattern');
+
+// Redis Pub/Sub: доставка только подключенным подписчикам, без подтверждений.
+// Все подписки сервиса разделяют одно соединение subscriber
+class RedisPubSubTransport {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url;
+    this.publisher = null;
+    this.subscriber = null;
+    this.patterns = new Set();
+  }
+
+  getChannel(eventType) {
+    return `events:${eventType}`;
+  }
+
+  async connect() {
+    console.log('Connecting to Redis at:', this.url);
+
+    this.publisher = redis.createClient({
+      url: this.url
+    });
+
+    await this.publisher.connect();
+  }
+
+  async publish(eventType, message) {
+    const channel = this.getChannel(eventType);
+    await this.publisher.publish(channel, message);
+    console.log(`Event published: ${eventType} to channel: ${channel}`);
+  }
+
+  async getSubscriber() {
+    if (!this.subscriber) {
+      this.subscriber = this.publisher.duplicate();
+      await this.subscriber.connect();
+    }
+    return this.subscriber;
+  }
+
+  async subscribe(pattern, onMessage) {
+    const subscriber = await this.getSubscriber();
+    const channel = this.getChannel(pattern);
+
+    const listener = async (message) => {
+      try {
+        await onMessage(message);
+      } catch (error) {
+        console.error('Failed to process event:', error);
+      }
+    };
+
+    if (isPattern(pattern)) {
+      await subscriber.pSubscribe(channel, listener);
+    } else {
+      await subscriber.subscribe(channel, listener);
+    }
+
+    this.patterns.add(pattern);
+    console.log(`Subscribed to channel: ${channel}`);
+  }
+
+  async unsubscribe(pattern) {
+    if (!this.patterns.has(pattern)) return;
+
+    const channel = this.getChannel(pattern);
+    if (isPattern(pattern)) {
+      await this.subscriber.pUnsubscribe(channel);
+    } else {
+      await this.subscriber.unsubscribe(channel);
+    }
+    this.patterns.delete(pattern);
+  }
+
+  async disconnect() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+    this.patterns.clear();
+
+    if (this.publisher) {
+      await this.publisher.quit();
+    }
+  }
+}
+
+module.exports = RedisPubSubTransport;
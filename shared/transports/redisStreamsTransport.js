@@ -0,0 +1,433 @@
+const os = require('os');
+const redis = require('redis');
+const { isPattern, matchesPattern } = require('../eventPattern');
+
+const STREAM_PREFIX = 'stream:';
+
+// Redis Streams: события хранятся в потоке и читаются через consumer group сервиса,
+// поэтому не теряются, пока подписчик перезапускается.
+// Все потоки сервиса читаются одним блокирующим XREADGROUP через единственное соединение,
+// а прочитанные сообщения обрабатываются независимо для каждого потока.
+// Широковещательные подписки читают потоки через XREAD без группы отдельным соединением:
+// каждый экземпляр получает все новые события, без подтверждений и повторной доставки
+class RedisStreamsTransport {
+  constructor(options = {}) {
+    this.name = 'redis-streams';
+    this.url = options.url;
+    this.group = options.serviceName;
+    this.consumerName = options.consumerName || `${options.serviceName}-${os.hostname()}`;
+    this.streamMaxLength = options.streamMaxLength || parseInt(process.env.EVENT_STREAM_MAX_LENGTH) || 10000;
+    this.claimIdleTime = options.claimIdleTime || parseInt(process.env.EVENT_CLAIM_IDLE_MS) || 60000;
+    this.discoveryInterval = options.discoveryInterval || 10000;
+    this.readBlockTime = options.readBlockTime || 5000;
+    this.readBatchSize = options.readBatchSize || 10;
+    this.publisher = null;
+    this.reader = null;
+    this.listeners = new Map();
+    this.streams = new Map();
+    this.active = false;
+    this.loop = null;
+    this.broadcastReader = null;
+    this.broadcastListeners = new Map();
+    // Поток -> id последнего прочитанного сообщения
+    this.broadcastStreams = new Map();
+    this.broadcastActive = false;
+    this.broadcastLoop = null;
+  }
+
+  getStreamKey(eventType) {
+    return `${STREAM_PREFIX}${eventType}`;
+  }
+
+  getEventType(streamKey) {
+    return streamKey.slice(STREAM_PREFIX.length);
+  }
+
+  async connect() {
+    console.log('Connecting to Redis at:', this.url);
+
+    this.publisher = redis.createClient({
+      url: this.url
+    });
+
+    await this.publisher.connect();
+  }
+
+  async publish(eventType, message) {
+    const stream = this.getStreamKey(eventType);
+    await this.publisher.xAdd(stream, '*', { event: message }, {
+      TRIM: {
+        strategy: 'MAXLEN',
+        strategyModifier: '~',
+        threshold: this.streamMaxLength
+      }
+    });
+    console.log(`Event published: ${eventType} to stream: ${stream}`);
+  }
+
+  async subscribe(pattern, onMessage) {
+    this.listeners.set(pattern, onMessage);
+
+    if (isPattern(pattern)) {
+      await this.discoverStreams();
+    } else {
+      await this.addStream(this.getStreamKey(pattern));
+    }
+
+    await this.startReading();
+    console.log(`Subscribed to stream: ${this.getStreamKey(pattern)} (group: ${this.group}, consumer: ${this.consumerName})`);
+  }
+
+  async addStream(stream) {
+    if (this.streams.has(stream)) return;
+
+    try {
+      // Группа создается с начала потока, чтобы сервис, запущенный позже
+      // публикатора, получил уже накопленные события
+      await this.publisher.xGroupCreate(stream, this.group, '0', { MKSTREAM: true });
+    } catch (error) {
+      if (!error.message.includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+
+    this.streams.set(stream, { recovered: false, task: null });
+  }
+
+  // Потоки для шаблонных подписок ищутся через SCAN, включая появившиеся после подписки
+  async discoverStreams() {
+    for (const pattern of this.listeners.keys()) {
+      if (!isPattern(pattern)) continue;
+
+      for await (const stream of this.publisher.scanIterator({ MATCH: this.getStreamKey(pattern), TYPE: 'stream' })) {
+        await this.addStream(stream);
+      }
+    }
+  }
+
+  async startReading() {
+    if (this.reader) return;
+
+    this.reader = this.publisher.duplicate();
+    await this.reader.connect();
+    this.active = true;
+    this.loop = this.readLoop();
+  }
+
+  async stopReading() {
+    if (!this.reader) return;
+
+    this.active = false;
+    // Блокирующее чтение из потока не дождется QUIT, поэтому закрываем соединение сразу
+    await this.reader.disconnect();
+    await this.loop;
+    // Обработка прерывается после текущего сообщения; неподтвержденные будут доставлены повторно
+    await Promise.all(Array.from(this.streams.values()).map(state => state.task).filter(Boolean));
+    this.reader = null;
+    this.loop = null;
+  }
+
+  async readLoop() {
+    let lastClaimAt = 0;
+    let lastDiscoveryAt = Date.now();
+
+    while (this.active) {
+      try {
+        if (Date.now() - lastDiscoveryAt >= this.discoveryInterval) {
+          await this.discoverStreams();
+          lastDiscoveryAt = Date.now();
+        }
+
+        // Сообщения, выданные этому consumer до перезапуска и не подтвержденные,
+        // и сообщения, зависшие у упавших consumer группы
+        const claimDue = Date.now() - lastClaimAt >= this.claimIdleTime;
+        for (const [stream, state] of this.streams) {
+          if (state.task) continue;
+
+          if (!state.recovered) {
+            state.recovered = true;
+            this.runTask(stream, state, () => this.processPendingMessages(stream));
+          } else if (claimDue) {
+            this.runTask(stream, state, () => this.claimStaleMessages(stream));
+          }
+        }
+        if (claimDue) {
+          lastClaimAt = Date.now();
+        }
+
+        // Поток, сообщения которого еще обрабатываются, не читается до завершения обработки
+        const streams = Array.from(this.streams)
+          .filter(([, state]) => !state.task)
+          .map(([key]) => key);
+
+        if (streams.length === 0) {
+          await this.waitForTasks(this.readBlockTime);
+          continue;
+        }
+
+        const response = await this.reader.xReadGroup(
+          this.group,
+          this.consumerName,
+          streams.map(key => ({ key, id: '>' })),
+          { COUNT: this.readBatchSize, BLOCK: this.readBlockTime }
+        );
+
+        if (!response) continue;
+
+        for (const { name, messages } of response) {
+          const state = this.streams.get(name);
+          if (state) {
+            this.runTask(name, state, () => this.processMessages(name, messages));
+          }
+        }
+      } catch (error) {
+        if (!this.active) break;
+        console.error('Failed to read from event streams:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  // Потоки обрабатываются независимо: повторы обработчика задерживают только свой поток,
+  // а сообщения внутри потока обрабатываются по порядку
+  runTask(stream, state, work) {
+    state.task = work()
+      .catch(error => console.error(`Failed to process messages from ${stream}:`, error))
+      .finally(() => {
+        state.task = null;
+      });
+  }
+
+  async waitForTasks(timeout) {
+    const tasks = Array.from(this.streams.values()).map(state => state.task).filter(Boolean);
+    await Promise.race([...tasks, new Promise(resolve => setTimeout(resolve, timeout))]);
+  }
+
+  async processMessages(stream, messages) {
+    for (const message of messages) {
+      if (!this.active) return;
+      await this.processMessage(stream, message);
+    }
+  }
+
+  // Чтение без блокировки через publisher: соединение reader занято блокирующим XREADGROUP
+  async processPendingMessages(stream) {
+    let cursor = '0';
+
+    while (this.active) {
+      const response = await this.publisher.xReadGroup(
+        this.group,
+        this.consumerName,
+        { key: stream, id: cursor },
+        { COUNT: this.readBatchSize }
+      );
+
+      const messages = response ? response[0].messages : [];
+      if (messages.length === 0) break;
+
+      console.log(`Redelivering ${messages.length} pending messages from ${stream}`);
+      await this.processMessages(stream, messages);
+
+      cursor = messages[messages.length - 1].id;
+    }
+  }
+
+  async claimStaleMessages(stream) {
+    let cursor = '0-0';
+
+    // Забираем сообщения, зависшие у упавших consumer этой же группы
+    do {
+      const { nextId, messages } = await this.publisher.xAutoClaim(
+        stream,
+        this.group,
+        this.consumerName,
+        this.claimIdleTime,
+        cursor,
+        { COUNT: this.readBatchSize }
+      );
+
+      await this.processMessages(stream, messages.filter(Boolean));
+
+      cursor = nextId;
+    } while (this.active && cursor !== '0-0');
+  }
+
+  async processMessage(stream, message) {
+    const eventType = this.getEventType(stream);
+    const listeners = Array.from(this.listeners.entries())
+      .filter(([pattern]) => matchesPattern(pattern, eventType))
+      .map(([, onMessage]) => onMessage);
+
+    // Пока сообщение обрабатывается (включая повторы обработчика), XCLAIM сбрасывает время простоя,
+    // чтобы другой экземпляр сервиса не забрал его через XAUTOCLAIM и не обработал повторно
+    const heartbeat = setInterval(() => {
+      this.publisher.xClaimJustId(stream, this.group, this.consumerName, 0, message.id)
+        .catch(error => console.error(`Failed to extend claim on message ${message.id}:`, error.message));
+    }, Math.max(Math.floor(this.claimIdleTime / 2), 1000));
+
+    try {
+      for (const onMessage of listeners) {
+        await onMessage(message.message.event);
+      }
+      await this.publisher.xAck(stream, this.group, message.id);
+    } catch (error) {
+      // Без подтверждения сообщение остается в pending и будет доставлено повторно
+      console.error(`Failed to process message ${message.id} from ${stream}:`, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async subscribeBroadcast(pattern, onMessage) {
+    this.broadcastListeners.set(pattern, onMessage);
+
+    // Уже существующие потоки читаются с последнего сообщения
+    if (isPattern(pattern)) {
+      await this.discoverBroadcastStreams({ fromLatest: true });
+    } else {
+      await this.addBroadcastStream(this.getStreamKey(pattern), { fromLatest: true });
+    }
+
+    await this.startBroadcastReading();
+    console.log(`Subscribed to stream: ${this.getStreamKey(pattern)} (broadcast, consumer: ${this.consumerName})`);
+  }
+
+  async addBroadcastStream(stream, { fromLatest = false } = {}) {
+    if (this.broadcastStreams.has(stream)) return;
+
+    let lastId = '0-0';
+    if (fromLatest) {
+      const [last] = await this.publisher.xRevRange(stream, '+', '-', { COUNT: 1 });
+      lastId = last ? last.id : lastId;
+    }
+    this.broadcastStreams.set(stream, lastId);
+  }
+
+  // Поток, появившийся после подписки, читается с начала
+  async discoverBroadcastStreams({ fromLatest = false } = {}) {
+    for (const pattern of this.broadcastListeners.keys()) {
+      if (!isPattern(pattern)) continue;
+
+      for await (const stream of this.publisher.scanIterator({ MATCH: this.getStreamKey(pattern), TYPE: 'stream' })) {
+        await this.addBroadcastStream(stream, { fromLatest });
+      }
+    }
+  }
+
+  async startBroadcastReading() {
+    if (this.broadcastReader) return;
+
+    this.broadcastReader = this.publisher.duplicate();
+    await this.broadcastReader.connect();
+    this.broadcastActive = true;
+    this.broadcastLoop = this.broadcastReadLoop();
+  }
+
+  async stopBroadcastReading() {
+    if (!this.broadcastReader) return;
+
+    this.broadcastActive = false;
+    await this.broadcastReader.disconnect();
+    await this.broadcastLoop;
+    this.broadcastReader = null;
+    this.broadcastLoop = null;
+  }
+
+  async broadcastReadLoop() {
+    let lastDiscoveryAt = Date.now();
+
+    while (this.broadcastActive) {
+      try {
+        if (Date.now() - lastDiscoveryAt >= this.discoveryInterval) {
+          await this.discoverBroadcastStreams();
+          lastDiscoveryAt = Date.now();
+        }
+
+        if (this.broadcastStreams.size === 0) {
+          await new Promise(resolve => setTimeout(resolve, this.readBlockTime));
+          continue;
+        }
+
+        const response = await this.broadcastReader.xRead(
+          Array.from(this.broadcastStreams, ([key, id]) => ({ key, id })),
+          { COUNT: this.readBatchSize, BLOCK: this.readBlockTime }
+        );
+
+        if (!response) continue;
+
+        for (const { name, messages } of response) {
+          for (const message of messages) {
+            this.broadcastStreams.set(name, message.id);
+            await this.processBroadcastMessage(name, message);
+          }
+        }
+      } catch (error) {
+        if (!this.broadcastActive) break;
+        console.error('Failed to read broadcast event streams:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  async processBroadcastMessage(stream, message) {
+    const eventType = this.getEventType(stream);
+
+    for (const [pattern, onMessage] of this.broadcastListeners) {
+      if (!matchesPattern(pattern, eventType)) continue;
+
+      try {
+        await onMessage(message.message.event);
+      } catch (error) {
+        console.error(`Failed to process broadcast message ${message.id} from ${stream}:`, error);
+      }
+    }
+  }
+
+  async unsubscribeBroadcast(pattern) {
+    if (!this.broadcastListeners.delete(pattern)) return;
+
+    for (const stream of Array.from(this.broadcastStreams.keys())) {
+      const eventType = this.getEventType(stream);
+      const stillNeeded = Array.from(this.broadcastListeners.keys()).some(p => matchesPattern(p, eventType));
+      if (!stillNeeded) {
+        this.broadcastStreams.delete(stream);
+      }
+    }
+
+    if (this.broadcastListeners.size === 0) {
+      await this.stopBroadcastReading();
+    }
+  }
+
+  async unsubscribe(pattern) {
+    if (!this.listeners.delete(pattern)) return;
+
+    // Перестаем читать потоки, которые больше не нужны ни одной подписке
+    for (const stream of Array.from(this.streams.keys())) {
+      const eventType = this.getEventType(stream);
+      const stillNeeded = Array.from(this.listeners.keys()).some(p => matchesPattern(p, eventType));
+      if (!stillNeeded) {
+        this.streams.delete(stream);
+      }
+    }
+
+    if (this.listeners.size === 0) {
+      await this.stopReading();
+    }
+  }
+
+  async disconnect() {
+    await this.stopReading();
+    await this.stopBroadcastReading();
+    this.listeners.clear();
+    this.streams.clear();
+    this.broadcastListeners.clear();
+    this.broadcastStreams.clear();
+
+    if (this.publisher) {
+      await this.publisher.quit();
+    }
+  }
+}
+
+module.exports = RedisStreamsTransport;
@@ -0,0 +1,50 @@
+// Реестр upcaster-функций: миграция payload события со старой версии схемы на текущую.
+// Upcaster переводит данные с версии N на N + 1, цепочка применяется последовательно
+
+class UpcasterRegistry {
+  constructor() {
+    this.upcasters = new Map();
+  }
+
+  register(eventType, fromVersion, upcaster) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new Error(`Upcaster version for ${eventType} must be a positive integer`);
+    }
+
+    if (!this.upcasters.has(eventType)) {
+      this.upcasters.set(eventType, new Map());
+    }
+
+    const versions = this.upcasters.get(eventType);
+    if (versions.has(fromVersion)) {
+      throw new Error(`Upcaster ${eventType} v${fromVersion} -> v${fromVersion + 1} is already registered`);
+    }
+
+    versions.set(fromVersion, upcaster);
+    return this;
+  }
+
+  // Текущая версия - следующая за последним зарегистрированным upcaster
+  getCurrentVersion(eventType) {
+    const versions = this.upcasters.get(eventType);
+    return versions ? Math.max(...versions.keys()) + 1 : 1;
+  }
+
+  // Возвращает { version, data }; события новее текущей версии не изменяются
+  upcast(eventType, version, data) {
+    const versions = this.upcasters.get(eventType);
+    let currentVersion = version;
+    let currentData = data;
+
+    while (versions && versions.has(currentVersion)) {
+      currentData = versions.get(currentVersion)(currentData);
+      currentVersion++;
+    }
+
+    return { version: currentVersion, data: currentData };
+  }
+}
+
+module.exports = {
+  UpcasterRegistry
+};
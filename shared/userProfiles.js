@@ -0,0 +1,355 @@
+const { pool } = require('../config/database');
+const { EVENT_TYPES } = require('./events');
+const { CategoryTree, CategoryTreeCache } = require('./categoryTree');
+
+// Проекция user_profiles: профиль поведения пользователя, обновляемый по событиям активности.
+// Пересобирается из журнала событий (см. reset и EventBus.replay)
+
+const PROFILE_EVENT_TYPES = [
+  EVENT_TYPES.USER_VIEWED_PRODUCT,
+  EVENT_TYPES.USER_ADDED_TO_CART,
+  EVENT_TYPES.USER_PURCHASED_PRODUCT,
+  EVENT_TYPES.USER_IDENTITY_MERGED,
+  EVENT_TYPES.USER_DATA_ERASED
+];
+
+// Вклад действия в интерес к категории и тегам товара
+const AFFINITY_WEIGHTS = {
+  [EVENT_TYPES.USER_VIEWED_PRODUCT]: 1,
+  [EVENT_TYPES.USER_ADDED_TO_CART]: 2,
+  [EVENT_TYPES.USER_PURCHASED_PRODUCT]: 5
+};
+
+const RECENT_PRODUCTS_LIMIT = 10;
+const TAG_AFFINITY_LIMIT = 20;
+
+function emptyProfile(userId) {
+  return {
+    userId,
+    viewCount: 0,
+    cartAddCount: 0,
+    purchaseCount: 0,
+    totalSpent: 0,
+    categoryAffinity: {},
+    tagAffinity: {},
+    priceMin: null,
+    priceMax: null,
+    priceTotal: 0,
+    priceSamples: 0,
+    recentProducts: [],
+    firstActivityAt: null,
+    lastActivityAt: null,
+    lastPurchaseAt: null
+  };
+}
+
+function fromRow(row) {
+  return {
+    userId: row.user_id,
+    viewCount: row.view_count,
+    cartAddCount: row.cart_add_count,
+    purchaseCount: row.purchase_count,
+    totalSpent: parseFloat(row.total_spent),
+    categoryAffinity: row.category_affinity,
+    tagAffinity: row.tag_affinity,
+    priceMin: row.price_min === null ? null : parseFloat(row.price_min),
+    priceMax: row.price_max === null ? null : parseFloat(row.price_max),
+    priceTotal: parseFloat(row.price_total),
+    priceSamples: row.price_samples,
+    recentProducts: row.recent_products,
+    firstActivityAt: row.first_activity_at,
+    lastActivityAt: row.last_activity_at,
+    lastPurchaseAt: row.last_purchase_at,
+    updatedAt: row.updated_at
+  };
+}
+
+const minDate = (a, b) => (!a || (b && new Date(b) < new Date(a)) ? b : a);
+const maxDate = (a, b) => (!a || (b && new Date(b) > new Date(a)) ? b : a);
+const minValue = (a, b) => (a === null ? b : b === null ? a : Math.min(a, b));
+const maxValue = (a, b) => (a === null ? b : b === null ? a : Math.max(a, b));
+
+// Последние товары без повторов, от новых к старым
+function mergeRecentProducts(...lists) {
+  const latest = new Map();
+  for (const item of lists.flat()) {
+    const current = latest.get(item.productId);
+    if (!current || new Date(item.at) > new Date(current.at)) {
+      latest.set(item.productId, item);
+    }
+  }
+
+  return Array.from(latest.values())
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, RECENT_PRODUCTS_LIMIT);
+}
+
+function addScores(target, source) {
+  const result = { ...target };
+  for (const [key, score] of Object.entries(source)) {
+    result[key] = (result[key] || 0) + score;
+  }
+  return result;
+}
+
+// Оценки в долях от суммы, по убыванию
+function shares(scores, key, limit) {
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  return Object.entries(scores)
+    .map(([name, score]) => ({ [key]: name, score, share: score / total }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Учет одного действия в профиле; product - категория, теги и цена товара из каталога.
+// Интерес хранится по категории товара и сворачивается к родительским категориям при чтении
+function applyActivity(profile, event, product) {
+  const { productId, timestamp } = event.data;
+  const next = { ...profile };
+
+  switch (event.type) {
+    case EVENT_TYPES.USER_VIEWED_PRODUCT:
+      next.viewCount++;
+      break;
+    case EVENT_TYPES.USER_ADDED_TO_CART:
+      next.cartAddCount++;
+      break;
+    case EVENT_TYPES.USER_PURCHASED_PRODUCT:
+      next.purchaseCount++;
+      next.totalSpent += event.data.totalAmount || event.data.price * event.data.quantity;
+      next.lastPurchaseAt = maxDate(next.lastPurchaseAt, timestamp);
+      break;
+  }
+
+  const weight = AFFINITY_WEIGHTS[event.type];
+  if (product && product.category) {
+    next.categoryAffinity = addScores(next.categoryAffinity, { [product.category]: weight });
+  }
+  if (product && product.tags) {
+    next.tagAffinity = addScores(next.tagAffinity, Object.fromEntries(product.tags.map(tag => [tag, weight])));
+  }
+
+  // Ценовой диапазон по товарам, с которыми взаимодействовал пользователь; для покупки - по цене покупки
+  const price = event.type === EVENT_TYPES.USER_PURCHASED_PRODUCT
+    ? event.data.price
+    : product && product.price !== null ? parseFloat(product.price) : null;
+  if (typeof price === 'number' && Number.isFinite(price)) {
+    next.priceMin = minValue(next.priceMin, price);
+    next.priceMax = maxValue(next.priceMax, price);
+    next.priceTotal += price;
+    next.priceSamples++;
+  }
+
+  next.recentProducts = mergeRecentProducts(next.recentProducts, [{ productId, at: timestamp }]);
+  next.firstActivityAt = minDate(next.firstActivityAt, timestamp);
+  next.lastActivityAt = maxDate(next.lastActivityAt, timestamp);
+  return next;
+}
+
+// Объединение профиля гостя с профилем пользователя после слияния идентичностей
+function mergeProfiles(userId, target, source) {
+  return {
+    userId,
+    viewCount: target.viewCount + source.viewCount,
+    cartAddCount: target.cartAddCount + source.cartAddCount,
+    purchaseCount: target.purchaseCount + source.purchaseCount,
+    totalSpent: target.totalSpent + source.totalSpent,
+    categoryAffinity: addScores(target.categoryAffinity, source.categoryAffinity),
+    tagAffinity: addScores(target.tagAffinity, source.tagAffinity),
+    priceMin: minValue(target.priceMin, source.priceMin),
+    priceMax: maxValue(target.priceMax, source.priceMax),
+    priceTotal: target.priceTotal + source.priceTotal,
+    priceSamples: target.priceSamples + source.priceSamples,
+    recentProducts: mergeRecentProducts(target.recentProducts, source.recentProducts),
+    firstActivityAt: minDate(target.firstActivityAt, source.firstActivityAt),
+    lastActivityAt: maxDate(target.lastActivityAt, source.lastActivityAt),
+    lastPurchaseAt: maxDate(target.lastPurchaseAt, source.lastPurchaseAt)
+  };
+}
+
+class UserProfileProjection {
+  constructor(options = {}) {
+    this.db = options.db || pool;
+    this.categoryTree = options.categoryTree || new CategoryTreeCache({ db: this.db });
+  }
+
+  async apply(event) {
+    switch (event.type) {
+      case EVENT_TYPES.USER_VIEWED_PRODUCT:
+      case EVENT_TYPES.USER_ADDED_TO_CART:
+      case EVENT_TYPES.USER_PURCHASED_PRODUCT:
+        return this.applyActivityEvent(event);
+      case EVENT_TYPES.USER_IDENTITY_MERGED:
+        return this.mergeIdentity(event.data.guestId, event.data.userId);
+      case EVENT_TYPES.USER_DATA_ERASED:
+        return this.deleteProfiles([event.data.userId, ...(event.data.aliasIds || [])]);
+      default:
+        return null;
+    }
+  }
+
+  async applyActivityEvent(event) {
+    await this.update([event.data.userId], async (client, profiles) => {
+      const product = await client.query('SELECT category, tags, price FROM products WHERE id = $1', [event.data.productId]);
+      const profile = profiles.get(event.data.userId) || emptyProfile(event.data.userId);
+      return [applyActivity(profile, event, product.rows[0])];
+    });
+  }
+
+  async mergeIdentity(guestId, userId) {
+    await this.update([guestId, userId], async (client, profiles) => {
+      const guest = profiles.get(guestId);
+      if (!guest) return [];
+
+      await client.query('DELETE FROM user_profiles WHERE user_id = $1', [guestId]);
+      return [mergeProfiles(userId, profiles.get(userId) || emptyProfile(userId), guest)];
+    });
+  }
+
+  async deleteProfiles(userIds) {
+    await this.db.query('DELETE FROM user_profiles WHERE user_id = ANY($1)', [userIds]);
+  }
+
+  // Изменение профилей под блокировкой строк: события одного пользователя из разных
+  // подписок и replay не перезаписывают изменения друг друга
+  async update(userIds, change) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+      // Блокировка по id, так как строки профиля может еще не быть
+      for (const userId of [...userIds].sort()) {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('user_profiles:' || $1))", [userId]);
+      }
+
+      const result = await client.query('SELECT * FROM user_profiles WHERE user_id = ANY($1)', [userIds]);
+      const profiles = new Map(result.rows.map(row => [row.user_id, fromRow(row)]));
+
+      for (const profile of await change(client, profiles)) {
+        await this.save(client, profile);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async save(client, profile) {
+    await client.query(`
+      INSERT INTO user_profiles (
+        user_id, view_count, cart_add_count, purchase_count, total_spent, category_affinity, tag_affinity,
+        price_min, price_max, price_total, price_samples, recent_products,
+        first_activity_at, last_activity_at, last_purchase_at, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP)
+      ON CONFLICT (user_id) DO UPDATE SET
+        view_count = EXCLUDED.view_count,
+        cart_add_count = EXCLUDED.cart_add_count,
+        purchase_count = EXCLUDED.purchase_count,
+        total_spent = EXCLUDED.total_spent,
+        category_affinity = EXCLUDED.category_affinity,
+        tag_affinity = EXCLUDED.tag_affinity,
+        price_min = EXCLUDED.price_min,
+        price_max = EXCLUDED.price_max,
+        price_total = EXCLUDED.price_total,
+        price_samples = EXCLUDED.price_samples,
+        recent_products = EXCLUDED.recent_products,
+        first_activity_at = EXCLUDED.first_activity_at,
+        last_activity_at = EXCLUDED.last_activity_at,
+        last_purchase_at = EXCLUDED.last_purchase_at,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      profile.userId,
+      profile.viewCount,
+      profile.cartAddCount,
+      profile.purchaseCount,
+      profile.totalSpent,
+      JSON.stringify(profile.categoryAffinity),
+      JSON.stringify(profile.tagAffinity),
+      profile.priceMin,
+      profile.priceMax,
+      profile.priceTotal,
+      profile.priceSamples,
+      JSON.stringify(profile.recentProducts),
+      profile.firstActivityAt,
+      profile.lastActivityAt,
+      profile.lastPurchaseAt
+    ]);
+  }
+
+  // Профиль для чтения: интерес к категориям и тегам в долях, средняя цена и давность активности.
+  // Пользователь без активностей получает пустой профиль
+  async getProfile(userId) {
+    const result = await this.db.query('SELECT * FROM user_profiles WHERE user_id = $1', [userId]);
+    const profile = result.rows.length > 0 ? fromRow(result.rows[0]) : emptyProfile(userId);
+    return this.format(profile, await this.categoryTree.get());
+  }
+
+  // Интерес к категории включает интерес к ее подкатегориям; доли считаются от суммы
+  // по категориям товаров, поэтому у родительской категории доля не меньше, чем у подкатегорий
+  format(profile, categoryTree = new CategoryTree()) {
+    const affinityTotal = Object.values(profile.categoryAffinity).reduce((sum, score) => sum + score, 0);
+
+    return {
+      userId: profile.userId,
+      counts: {
+        views: profile.viewCount,
+        cartAdds: profile.cartAddCount,
+        purchases: profile.purchaseCount,
+        total: profile.viewCount + profile.cartAddCount + profile.purchaseCount
+      },
+      totalSpent: profile.totalSpent,
+      categoryAffinity: Object.entries(categoryTree.rollUp(profile.categoryAffinity))
+        .map(([category, score]) => ({ category, score, share: score / affinityTotal }))
+        .sort((a, b) => b.score - a.score),
+      tagAffinity: shares(profile.tagAffinity, 'tag', TAG_AFFINITY_LIMIT),
+      priceBand: {
+        min: profile.priceMin,
+        max: profile.priceMax,
+        avg: profile.priceSamples > 0 ? profile.priceTotal / profile.priceSamples : null
+      },
+      recentProducts: profile.recentProducts,
+      firstActivityAt: profile.firstActivityAt,
+      lastActivityAt: profile.lastActivityAt,
+      lastPurchaseAt: profile.lastPurchaseAt,
+      daysSinceLastActivity: profile.lastActivityAt
+        ? Math.floor((Date.now() - new Date(profile.lastActivityAt).getTime()) / (24 * 60 * 60 * 1000))
+        : null,
+      updatedAt: profile.updatedAt || null
+    };
+  }
+
+  async isEmpty() {
+    const result = await this.db.query('SELECT 1 FROM user_profiles LIMIT 1');
+    return result.rows.length === 0;
+  }
+
+  // Очистка проекции перед пересборкой. Отметки об обработке подписчика (consumer)
+  // удаляются в той же транзакции, чтобы replay заново применил все события журнала
+  async reset({ consumer } = {}) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_profiles');
+      if (consumer) {
+        await client.query('DELETE FROM processed_events WHERE consumer = $1', [consumer]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = {
+  UserProfileProjection,
+  PROFILE_EVENT_TYPES
+};